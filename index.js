@@ -11,7 +11,36 @@ const rateLimit = require("express-rate-limit");
 const fs = require("fs");
 const logger = require("./utils/logger");
 const adminRouter = require("./routes/admin");
+const adminAccountsRouter = require("./routes/adminAccounts");
+const auditRouter = require("./routes/audit");
+const clientTokensRouter = require("./routes/clientTokens");
+const syncLogsRouter = require("./routes/syncLogs");
+const statsRouter = require("./routes/stats");
+const alertsRouter = require("./routes/alerts");
+const webhooksRouter = require("./routes/webhooks");
+const snapshotsRouter = require("./routes/snapshots");
+const clientQuotasRouter = require("./routes/clientQuotas");
+const clientDataRouter = require("./routes/clientData");
+const syncStreamRouter = require("./routes/syncStream");
 const syncApiRouter = require("./routes/syncApi");
+const dataApiRouter = require("./routes/dataApi");
+const endUserAuthRouter = require("./routes/endUserAuth");
+const { cleanupExpiredSessions } = require("./services/syncService");
+const { cleanupExpiredNonces } = require("./services/tokenService");
+const { cleanupLoginFailures } = require("./services/endUserService");
+const { evaluateAlertRules } = require("./services/alertService");
+const { processDueDeliveries } = require("./services/webhookService");
+const {
+  processSyncJobs,
+  cleanupFinishedJobs,
+} = require("./services/syncJobService");
+const { pendingMigrations } = require("./services/migrationService");
+const { loadMasterKeys } = require("./utils/secrets");
+const {
+  BODY_LIMIT_BYTES,
+  cleanupQuotaUsage,
+} = require("./services/quotaService");
+const { parseSyncBody } = require("./middleware/clientQuota");
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +48,10 @@ dotenv.config();
 // Initialize app
 const app = express();
 
+// Failed sync authentications allowed per IP every 15 minutes
+const SYNC_AUTH_FAILURE_LIMIT =
+  Number(process.env.SYNC_AUTH_FAILURE_LIMIT) || 50;
+
 // Security and optimization middleware for production
 if (process.env.NODE_ENV === "production") {
   // Enable compression
@@ -27,16 +60,31 @@ if (process.env.NODE_ENV === "production") {
   // Security headers
   app.use(helmet());
 
-  // Rate limiting
+  // Rate limiting. The sync API is limited per client instead, so clients
+  // sharing an IP do not throttle each other.
   const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
+    skip: (req) => req.path.startsWith("/api/sync/"),
     message: {
       success: false,
       error: "Too many requests, please try again later",
     },
   });
   app.use(limiter);
+
+  // Per-client limits only apply once a client has authenticated, so
+  // failed sync authentication is limited per IP, before any lookup
+  const syncAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: SYNC_AUTH_FAILURE_LIMIT,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    message: {
+      error: "Too many failed sync authentications, try again later",
+    },
+  });
+  app.use("/api/sync/", syncAuthLimiter);
 }
 
 // CORS configuration
@@ -45,12 +93,42 @@ app.use(
     origin: process.env.FRONTEND_ORIGIN || "http://localhost:5173",
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Client-Id",
+      "X-Access-Token",
+      "X-Signature",
+      "X-Timestamp",
+      "X-Nonce",
+      "If-None-Match",
+      "Content-Encoding",
+    ],
+    exposedHeaders: [
+      "ETag",
+      "Last-Modified",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
   })
 );
 
+// Sync bodies are read with the sending client's own payload limit where
+// the client is named in a header
+app.use("/api/sync", parseSyncBody);
+
 // Standard middleware with increased payload limits
-app.use(bodyParser.json({ limit: "50mb" })); // Increased from default 100kb to 50mb
+// The raw body is kept for verifying signed sync requests
+app.use(
+  bodyParser.json({
+    limit: BODY_LIMIT_BYTES, // Increased from default 100kb to 50mb
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(bodyParser.urlencoded({ limit: "50mb", extended: true }));
 app.use(cookieParser());
 
@@ -76,7 +154,21 @@ app.use((req, res, next) => {
 
 // Routes
 app.use("/api/admin", adminRouter);
+app.use("/api/admin", adminAccountsRouter);
+app.use("/api/admin", auditRouter);
+app.use("/api/admin", clientTokensRouter);
+app.use("/api/admin", syncLogsRouter);
+app.use("/api/admin", statsRouter);
+app.use("/api/admin", alertsRouter);
+app.use("/api/admin", webhooksRouter);
+app.use("/api/admin", snapshotsRouter);
+app.use("/api/admin", clientQuotasRouter);
+app.use("/api/admin", clientDataRouter);
+// Streamed NDJSON uploads are handled before the JSON sync routes
+app.use("/api", syncStreamRouter);
 app.use("/api", syncApiRouter);
+app.use("/api", dataApiRouter);
+app.use("/api", endUserAuthRouter);
 
 // API test route
 app.get("/", (req, res) => {
@@ -91,15 +183,71 @@ app.use((err, req, res, next) => {
     .json({ success: false, error: "An unexpected error occurred" });
 });
 
-// Start server
+// Start server once the database schema is up to date and client secrets
+// can be encrypted
 const PORT = process.env.PORT || 5005;
-app.listen(PORT, () => {
-  logger.info(
-    `Server running in ${
-      process.env.NODE_ENV || "development"
-    } mode on port ${PORT}`
-  );
-});
+(async () => {
+  try {
+    loadMasterKeys();
+  } catch (error) {
+    logger.error(`Invalid secret master keys: ${error.message}`);
+    process.exit(1);
+  }
+
+  try {
+    const pending = await pendingMigrations();
+    if (pending.length > 0) {
+      logger.error(
+        `Database schema is behind: ${pending
+          .map((migration) => migration.name)
+          .join(", ")} pending. Run "npm run migrate" first.`
+      );
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`Could not check database migrations: ${error.message}`, {
+      error,
+    });
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    logger.info(
+      `Server running in ${
+        process.env.NODE_ENV || "development"
+      } mode on port ${PORT}`
+    );
+  });
+})();
+
+// Remove abandoned sync sessions every 5 minutes
+setInterval(cleanupExpiredSessions, 5 * 60 * 1000).unref();
+
+// Forget request nonces once their timestamps can no longer be replayed
+setInterval(cleanupExpiredNonces, 5 * 60 * 1000).unref();
+
+// Forget failed end-user logins once they no longer count towards a lockout
+setInterval(cleanupLoginFailures, 5 * 60 * 1000).unref();
+
+// Forget sync request windows and record usage that no longer count
+setInterval(cleanupQuotaUsage, 5 * 60 * 1000).unref();
+
+// Evaluate alert rules against recent sync history
+const ALERT_CHECK_INTERVAL_MINUTES =
+  Number(process.env.ALERT_CHECK_INTERVAL_MINUTES) || 5;
+setInterval(
+  evaluateAlertRules,
+  ALERT_CHECK_INTERVAL_MINUTES * 60 * 1000
+).unref();
+
+// Send queued webhook deliveries and retries
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS) || 10;
+setInterval(processDueDeliveries, WEBHOOK_POLL_SECONDS * 1000).unref();
+
+// Run queued sync jobs, and remove finished ones once they expire
+const SYNC_JOB_POLL_SECONDS = Number(process.env.SYNC_JOB_POLL_SECONDS) || 2;
+setInterval(processSyncJobs, SYNC_JOB_POLL_SECONDS * 1000).unref();
+setInterval(cleanupFinishedJobs, 60 * 60 * 1000).unref();
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (error) => {
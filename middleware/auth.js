@@ -2,9 +2,15 @@
 const jwt = require("jsonwebtoken");
 const dbService = require("../services/dbService");
 const JWT_SECRET = process.env.JWT_SECRET;
+const COOKIE_NAME = process.env.COOKIE_NAME || "superadmin_token";
 
-async function requireSuperAdmin(req, res, next) {
-  const token = req.cookies["superadmin_token"];
+// Admin roles from least to most privileged; each role can do everything the
+// roles before it can
+const ROLES = ["viewer", "operator", "superadmin"];
+
+// Authenticate the admin session cookie and load the admin's current role
+async function requireAdmin(req, res, next) {
+  const token = req.cookies[COOKIE_NAME];
   if (!token) return res.status(401).json({ error: "Not authenticated" });
 
   let payload;
@@ -16,7 +22,7 @@ async function requireSuperAdmin(req, res, next) {
 
   // ensure it matches the one in the DB
   const result = await dbService.query(
-    `SELECT access_token FROM sync_admin WHERE id = $1`,
+    `SELECT access_token, role, username FROM sync_admin WHERE id = $1`,
     [payload.adminId]
   );
   if (!result.rowCount || result.rows[0].access_token !== token) {
@@ -24,7 +30,27 @@ async function requireSuperAdmin(req, res, next) {
   }
 
   req.adminId = payload.adminId;
+  req.adminRole = result.rows[0].role;
+  req.adminUsername = result.rows[0].username;
   next();
 }
 
-module.exports = { requireSuperAdmin };
+// Authenticate, then require at least `minRole`
+function requireRole(minRole) {
+  const minLevel = ROLES.indexOf(minRole);
+  if (minLevel === -1) throw new Error(`Unknown admin role: ${minRole}`);
+
+  return (req, res, next) =>
+    requireAdmin(req, res, () => {
+      if (ROLES.indexOf(req.adminRole) < minLevel) {
+        return res
+          .status(403)
+          .json({ error: `This action requires the ${minRole} role` });
+      }
+      next();
+    });
+}
+
+const requireSuperAdmin = requireRole("superadmin");
+
+module.exports = { ROLES, requireAdmin, requireRole, requireSuperAdmin };
@@ -0,0 +1,245 @@
+// middleware/clientAuth.js
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const {
+  SIGNATURE_WINDOW_SECONDS,
+  verifyClient,
+  hashBody,
+  signBodyHash,
+  signaturesMatch,
+  useNonce,
+} = require("../services/tokenService");
+const { verifyEndUserToken } = require("../services/endUserService");
+const { decryptSecret } = require("../utils/secrets");
+
+function reject(res, status, error, context) {
+  logger.warn(`Sync request rejected: ${error}`, context);
+  return res.status(status).json({ error });
+}
+
+// Check a signed request's headers and find the client's signing secret.
+// Returns { clientId, timestamp, nonce, signature, secret }, or
+// { problem: [status, error] } for a request to reject.
+async function readSignedHeaders(req) {
+  const clientId = req.get("X-Client-Id");
+  const timestamp = req.get("X-Timestamp");
+  const nonce = req.get("X-Nonce");
+  const signature = req.get("X-Signature");
+
+  if (!clientId || !timestamp || !nonce) {
+    return { clientId, problem: [400, "Missing signature headers"] };
+  }
+  if (!/^[A-Za-z0-9_-]{16,64}$/.test(nonce)) {
+    return {
+      clientId,
+      problem: [400, "X-Nonce must be 16-64 letters, digits, _ or -"],
+    };
+  }
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || age > SIGNATURE_WINDOW_SECONDS) {
+    return {
+      clientId,
+      problem: [401, "Request timestamp is outside the allowed window"],
+    };
+  }
+
+  const result = await dbService.query(
+    "SELECT signing_secret FROM sync_users WHERE client_id = $1",
+    [clientId]
+  );
+  const secret = result.rows[0] && decryptSecret(result.rows[0].signing_secret);
+  if (!secret) {
+    return { clientId, problem: [401, "Invalid request signature"] };
+  }
+
+  return { clientId, timestamp, nonce, signature, secret };
+}
+
+// Check a signed request's signature against the SHA-256 of its body, then
+// use up its nonce. Returns [status, error] to reject the request with, or
+// null.
+async function signatureProblem(req, signed, bodyHash) {
+  const expected = signBodyHash(
+    signed.secret,
+    req.method,
+    req.originalUrl,
+    signed.timestamp,
+    signed.nonce,
+    bodyHash
+  );
+  if (!signaturesMatch(expected, signed.signature)) {
+    return [401, "Invalid request signature"];
+  }
+
+  // Checked last, so unsigned garbage cannot burn a client's nonces
+  if (!(await useNonce(dbService, signed.clientId, signed.nonce))) {
+    return [401, "Request nonce has already been used"];
+  }
+  return null;
+}
+
+// Signed request: the X-Client-Id, X-Timestamp, X-Nonce and X-Signature
+// headers replace clientId and accessToken in the body
+async function authenticateSigned(req, res, next) {
+  const signed = await readSignedHeaders(req);
+  const context = { clientId: signed.clientId, path: req.originalUrl };
+  const problem =
+    signed.problem ||
+    (await signatureProblem(req, signed, hashBody(req.rawBody)));
+  if (problem) return reject(res, ...problem, context);
+
+  req.clientId = signed.clientId;
+  req.signedRequest = true;
+  next();
+}
+
+// Check a client's access token and that the client may send unsigned
+// requests. Returns [status, error] to reject the request with, or null.
+async function tokenProblem(clientId, accessToken) {
+  if (!(await verifyClient(dbService, clientId, accessToken))) {
+    return [401, "Invalid client ID or access token"];
+  }
+
+  // Clients being moved to signing are refused once it is enforced
+  const result = await dbService.query(
+    "SELECT require_signed_requests FROM sync_users WHERE client_id = $1",
+    [clientId]
+  );
+  if (result.rows[0].require_signed_requests) {
+    return [401, "This client must sign its requests"];
+  }
+  return null;
+}
+
+// Authenticate a sync client, by request signature when an X-Signature
+// header is present and otherwise by clientId and accessToken in the body,
+// or in the X-Client-Id and X-Access-Token headers for requests without one.
+// Sets req.clientId for the route.
+async function requireClient(req, res, next) {
+  // Signed requests may have no body at all
+  if (req.body === undefined) req.body = {};
+
+  try {
+    if (req.get("X-Signature")) {
+      return await authenticateSigned(req, res, next);
+    }
+
+    const clientId = req.body.clientId || req.get("X-Client-Id");
+    const accessToken = req.body.accessToken || req.get("X-Access-Token");
+    if (!clientId || !accessToken) {
+      return reject(res, 400, "Missing required fields", {
+        clientId: !!clientId,
+        accessToken: !!accessToken,
+        path: req.originalUrl,
+      });
+    }
+
+    const problem = await tokenProblem(clientId, accessToken);
+    if (problem) return reject(res, ...problem, { clientId });
+
+    req.clientId = clientId;
+    req.signedRequest = false;
+    next();
+  } catch (error) {
+    logger.error(`Error authenticating sync client: ${error.message}`, {
+      error,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// Authenticate a streamed upload whose first line, `header`, stands in for
+// the JSON body. A signed upload's signature covers the whole body, so only
+// its headers are checked here; req.checkBodySignature(bodyHash) must be
+// awaited once the body has been read, before the upload counts against the
+// client's quotas, and returns [status, error] or null like
+// signatureProblem. Sets req.clientId and returns true, or sends the
+// rejection and returns false.
+async function authenticateStream(req, res, header) {
+  if (req.get("X-Signature")) {
+    const signed = await readSignedHeaders(req);
+    if (signed.problem) {
+      reject(res, ...signed.problem, {
+        clientId: signed.clientId,
+        path: req.originalUrl,
+      });
+      return false;
+    }
+
+    req.clientId = signed.clientId;
+    req.signedRequest = true;
+    req.checkBodySignature = (bodyHash) =>
+      signatureProblem(req, signed, bodyHash);
+    return true;
+  }
+
+  const clientId = header.clientId || req.get("X-Client-Id");
+  const accessToken = header.accessToken || req.get("X-Access-Token");
+  if (!clientId || !accessToken) {
+    reject(res, 400, "Missing required fields", {
+      clientId: !!clientId,
+      accessToken: !!accessToken,
+      path: req.originalUrl,
+    });
+    return false;
+  }
+
+  const problem = await tokenProblem(clientId, accessToken);
+  if (problem) {
+    reject(res, ...problem, { clientId });
+    return false;
+  }
+
+  req.clientId = clientId;
+  req.signedRequest = false;
+  return true;
+}
+
+// Authenticate either the client itself, as requireClient does, or one of
+// its end users by the bearer token from POST /api/auth/login. Sets
+// req.clientId, and req.endUserId for end users.
+async function requireClientOrEndUser(req, res, next) {
+  const authorization = req.get("Authorization") || "";
+  if (!authorization.startsWith("Bearer ")) {
+    return requireClient(req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = verifyEndUserToken(authorization.slice("Bearer ".length));
+  } catch {
+    return reject(res, 401, "Invalid or expired token", {
+      path: req.originalUrl,
+    });
+  }
+
+  try {
+    // A later sync may have removed the user
+    const result = await dbService.query(
+      "SELECT 1 FROM acc_users WHERE client_id = $1 AND id = $2",
+      [payload.clientId, payload.userId]
+    );
+    if (result.rowCount === 0) {
+      return reject(res, 401, "User no longer exists", {
+        clientId: payload.clientId,
+        userId: payload.userId,
+      });
+    }
+
+    req.clientId = payload.clientId;
+    req.endUserId = payload.userId;
+    next();
+  } catch (error) {
+    logger.error(`Error authenticating end user: ${error.message}`, {
+      error,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+module.exports = {
+  requireClient,
+  requireClientOrEndUser,
+  authenticateStream,
+};
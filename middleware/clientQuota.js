@@ -0,0 +1,158 @@
+// middleware/clientQuota.js
+const bodyParser = require("body-parser");
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const {
+  getClientLimits,
+  countRequest,
+  payloadRecordCount,
+  reserveRecords,
+} = require("../services/quotaService");
+
+function reject(res, status, error, context, retryAfter) {
+  logger.warn(`Sync request over quota: ${error}`, context);
+  if (retryAfter !== undefined) res.set("Retry-After", String(retryAfter));
+  return res.status(status).json({ error });
+}
+
+// Count a request against the client's rate limit and set the RateLimit
+// headers. Returns false, having sent a 429, when the client is over its
+// limit.
+async function admitRequest(req, res, limits) {
+  const { clientId } = req;
+  const { requests, resetSeconds } = await countRequest(
+    dbService,
+    clientId,
+    limits
+  );
+  res.set({
+    "RateLimit-Limit": String(limits.requestsPerWindow),
+    "RateLimit-Remaining": String(
+      Math.max(limits.requestsPerWindow - requests, 0)
+    ),
+    "RateLimit-Reset": String(resetSeconds),
+  });
+  if (requests > limits.requestsPerWindow) {
+    reject(
+      res,
+      429,
+      "Too many sync requests, try again later",
+      {
+        clientId,
+        path: req.originalUrl,
+        requests,
+        limit: limits.requestsPerWindow,
+      },
+      resetSeconds
+    );
+    return false;
+  }
+  return true;
+}
+
+function payloadTooLarge(res, limits, context) {
+  return reject(
+    res,
+    413,
+    `Payload exceeds this client's limit of ${limits.maxPayloadBytes} bytes`,
+    { ...context, limit: limits.maxPayloadBytes }
+  );
+}
+
+// Read a sync request's JSON body with the payload limit of the client named
+// in its X-Client-Id header, before the server-wide parser runs. A body
+// whose Content-Length is over the limit is refused unread, and reading
+// stops once a body without one passes it. Bodies of requests that name
+// their client only in the body are left to the server-wide parser, and
+// enforceClientQuota checks their size. The raw body is kept for verifying
+// signed requests.
+async function parseSyncBody(req, res, next) {
+  const clientId = req.get("X-Client-Id");
+  if (!clientId || !req.is("application/json")) return next();
+  const context = { clientId, path: req.originalUrl };
+
+  let limits;
+  try {
+    ({ limits } = await getClientLimits(dbService, clientId));
+  } catch (error) {
+    // Unknown clients are refused by requireClient
+    return next();
+  }
+
+  const size = Number(req.get("Content-Length")) || 0;
+  if (size > limits.maxPayloadBytes) {
+    return payloadTooLarge(res, limits, { ...context, size });
+  }
+
+  const parse = bodyParser.json({
+    limit: limits.maxPayloadBytes,
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  });
+  parse(req, res, (error) => {
+    if (error && error.type === "entity.too.large") {
+      return payloadTooLarge(res, limits, context);
+    }
+    next(error);
+  });
+}
+
+// Apply the authenticated client's limits: requests per window, payload
+// size and records per day, in that order. Runs after requireClient.
+// Records are counted when a request is accepted, whether or not the sync
+// then succeeds, except for dry runs.
+async function enforceClientQuota(req, res, next) {
+  const { clientId } = req;
+  const context = { clientId, path: req.originalUrl };
+
+  try {
+    const { limits } = await getClientLimits(dbService, clientId);
+    if (!(await admitRequest(req, res, limits))) return;
+
+    const size = req.rawBody
+      ? req.rawBody.length
+      : Number(req.get("Content-Length")) || 0;
+    if (size > limits.maxPayloadBytes) {
+      return payloadTooLarge(res, limits, { ...context, size });
+    }
+
+    const records = payloadRecordCount(req.body);
+    if (records > limits.dailyRecords) {
+      return reject(
+        res,
+        413,
+        `Payload has more records than this client's daily quota of ${limits.dailyRecords}`,
+        { ...context, records, limit: limits.dailyRecords }
+      );
+    }
+    // A dry run writes nothing, so its records are not charged
+    if (records > 0 && !(req.body && req.body.dryRun === true)) {
+      const usage = await reserveRecords(dbService, clientId, records, limits);
+      if (!usage.accepted) {
+        return reject(
+          res,
+          429,
+          "Daily record quota exceeded, try again later",
+          {
+            ...context,
+            records,
+            usedToday: usage.records,
+            limit: limits.dailyRecords,
+          },
+          usage.retryAfter
+        );
+      }
+    }
+
+    next();
+  } catch (error) {
+    logger.error(`Error applying sync quota: ${error.message}`, {
+      error,
+      clientId,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+module.exports = { admitRequest, parseSyncBody, enforceClientQuota };
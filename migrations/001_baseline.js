@@ -0,0 +1,107 @@
+// migrations/001_baseline.js
+// Tables previously created by GET /api/admin/initialize, plus sync_admin.
+// IF NOT EXISTS lets databases set up by that route adopt this version as-is.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_admin (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(100) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        access_token TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_users (
+        id SERIAL PRIMARY KEY,
+        client_id VARCHAR(50) UNIQUE NOT NULL,
+        db_name VARCHAR(100) NOT NULL,
+        db_user VARCHAR(100) NOT NULL,
+        db_password VARCHAR(255) NOT NULL,
+        access_token VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP,
+        client_name TEXT,
+        address TEXT,
+        phone_number TEXT,
+        username TEXT,
+        password TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_logs (
+        id SERIAL PRIMARY KEY,
+        client_id VARCHAR(50) REFERENCES sync_users(client_id),
+        sync_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        records_synced INTEGER,
+        status VARCHAR(20) NOT NULL,
+        message TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS acc_users (
+        id SERIAL PRIMARY KEY,
+        pass VARCHAR(255) NOT NULL,
+        client_id VARCHAR(50) NOT NULL
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS acc_master (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50),
+        name VARCHAR(255),
+        address TEXT,
+        place VARCHAR(255),
+        super_code VARCHAR(50),
+        client_id VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS acc_master_code_client_id_key
+        ON acc_master (code, client_id)
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS acc_users_id_client_id_key
+        ON acc_users (id, client_id)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_sessions (
+        id UUID PRIMARY KEY,
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+        total_chunks INTEGER,
+        record_count INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        committed_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_session_chunks (
+        session_id UUID NOT NULL REFERENCES sync_sessions(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        data JSONB NOT NULL,
+        row_count INTEGER NOT NULL,
+        received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (session_id, chunk_index)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS sync_session_chunks, sync_sessions, acc_master,
+        acc_users, sync_logs, sync_users, sync_admin
+    `);
+  },
+};
@@ -0,0 +1,51 @@
+// migrations/002_composite_sync_keys.js
+// Give acc_users the (id, client_id) primary key the sync route relies on,
+// with the client's own user ID stored as text instead of a SERIAL, and make
+// acc_master.code mandatory since it is half of that table's key.
+module.exports = {
+  async up(client) {
+    await client.query("DELETE FROM acc_master WHERE code IS NULL");
+    await client.query("ALTER TABLE acc_master ALTER COLUMN code SET NOT NULL");
+
+    await client.query(
+      "ALTER TABLE acc_users DROP CONSTRAINT IF EXISTS acc_users_pkey"
+    );
+    await client.query("ALTER TABLE acc_users ALTER COLUMN id DROP DEFAULT");
+    await client.query(
+      "ALTER TABLE acc_users ALTER COLUMN id TYPE VARCHAR(50) USING id::text"
+    );
+    await client.query("DROP SEQUENCE IF EXISTS acc_users_id_seq");
+    await client.query("DROP INDEX IF EXISTS acc_users_id_client_id_key");
+    await client.query("ALTER TABLE acc_users ADD PRIMARY KEY (id, client_id)");
+  },
+
+  // Non-numeric user IDs cannot go back into an integer column, so they are
+  // removed; clients restore them on their next full sync. This fails if two
+  // clients share a user ID, which the old single-column key cannot hold.
+  async down(client) {
+    await client.query("DELETE FROM acc_users WHERE id !~ '^[0-9]+$'");
+    await client.query(
+      "ALTER TABLE acc_users DROP CONSTRAINT IF EXISTS acc_users_pkey"
+    );
+    await client.query(
+      "ALTER TABLE acc_users ALTER COLUMN id TYPE INTEGER USING id::integer"
+    );
+    await client.query("CREATE SEQUENCE IF NOT EXISTS acc_users_id_seq");
+    await client.query(
+      "SELECT setval('acc_users_id_seq', COALESCE(MAX(id), 0) + 1, false) FROM acc_users"
+    );
+    await client.query(
+      "ALTER TABLE acc_users ALTER COLUMN id SET DEFAULT nextval('acc_users_id_seq')"
+    );
+    await client.query("ALTER SEQUENCE acc_users_id_seq OWNED BY acc_users.id");
+    await client.query("ALTER TABLE acc_users ADD PRIMARY KEY (id)");
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS acc_users_id_client_id_key
+        ON acc_users (id, client_id)
+    `);
+
+    await client.query(
+      "ALTER TABLE acc_master ALTER COLUMN code DROP NOT NULL"
+    );
+  },
+};
@@ -0,0 +1,18 @@
+// migrations/003_admin_roles.js
+// Admin roles. Existing accounts become superadmins so nobody loses access.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_admin
+        ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'superadmin'
+          CHECK (role IN ('viewer', 'operator', 'superadmin'))
+    `);
+    await client.query(
+      "ALTER TABLE sync_admin ALTER COLUMN role SET DEFAULT 'viewer'"
+    );
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE sync_admin DROP COLUMN role");
+  },
+};
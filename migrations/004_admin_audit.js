@@ -0,0 +1,33 @@
+// migrations/004_admin_audit.js
+// Audit trail of admin actions. admin_id, client_id and target_admin_id are
+// deliberately not foreign keys so entries outlive deleted admins and clients.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE admin_audit (
+        id BIGSERIAL PRIMARY KEY,
+        admin_id INTEGER,
+        admin_username VARCHAR(100),
+        action VARCHAR(50) NOT NULL,
+        client_id VARCHAR(50),
+        target_admin_id INTEGER,
+        ip VARCHAR(64),
+        changes JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(
+      "CREATE INDEX admin_audit_created_at_idx ON admin_audit (created_at DESC)"
+    );
+    await client.query(
+      "CREATE INDEX admin_audit_client_id_idx ON admin_audit (client_id)"
+    );
+    await client.query(
+      "CREATE INDEX admin_audit_admin_id_idx ON admin_audit (admin_id)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE admin_audit");
+  },
+};
@@ -0,0 +1,54 @@
+// migrations/005_client_tokens.js
+// Move client access tokens out of sync_users into client_tokens, stored as
+// SHA-256 hashes. Each client can hold several named tokens. Existing tokens
+// keep working under the name "default".
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE client_tokens (
+        id SERIAL PRIMARY KEY,
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        token_prefix VARCHAR(8) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Only one current token per name; rotated tokens in their grace period
+    // have expires_at set and do not count
+    await client.query(`
+      CREATE UNIQUE INDEX client_tokens_current_name_key
+        ON client_tokens (client_id, name)
+        WHERE revoked_at IS NULL AND expires_at IS NULL
+    `);
+
+    await client.query(`
+      INSERT INTO client_tokens (client_id, name, token_hash, token_prefix, created_at)
+      SELECT client_id, 'default',
+             encode(sha256(convert_to(access_token, 'UTF8')), 'hex'),
+             left(access_token, 8), created_at
+        FROM sync_users
+    `);
+
+    await client.query("ALTER TABLE sync_users DROP COLUMN access_token");
+  },
+
+  // Hashed tokens cannot be restored, so every client gets a new random
+  // token; they must be redistributed after reverting
+  async down(client) {
+    await client.query(
+      "ALTER TABLE sync_users ADD COLUMN access_token VARCHAR(255)"
+    );
+    await client.query(
+      "UPDATE sync_users SET access_token = md5(random()::text) || md5(random()::text)"
+    );
+    await client.query(
+      "ALTER TABLE sync_users ALTER COLUMN access_token SET NOT NULL"
+    );
+    await client.query("DROP TABLE client_tokens");
+  },
+};
@@ -0,0 +1,33 @@
+// migrations/006_request_signing.js
+// Per-client HMAC signing secrets, a flag that makes signing mandatory for a
+// client, and the nonces of recent signed requests for replay protection.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_users
+        ADD COLUMN signing_secret VARCHAR(64),
+        ADD COLUMN require_signed_requests BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    await client.query(`
+      CREATE TABLE sync_request_nonces (
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        nonce VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (client_id, nonce)
+      )
+    `);
+    await client.query(
+      "CREATE INDEX sync_request_nonces_created_at_idx ON sync_request_nonces (created_at)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE sync_request_nonces");
+    await client.query(`
+      ALTER TABLE sync_users
+        DROP COLUMN signing_secret,
+        DROP COLUMN require_signed_requests
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+// migrations/007_sync_log_indexes.js
+// Indexes for paging through sync logs by date, overall and per client
+module.exports = {
+  async up(client) {
+    await client.query(
+      "CREATE INDEX sync_logs_sync_date_idx ON sync_logs (sync_date, id)"
+    );
+    await client.query(
+      "CREATE INDEX sync_logs_client_date_idx ON sync_logs (client_id, sync_date, id)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP INDEX sync_logs_client_date_idx");
+    await client.query("DROP INDEX sync_logs_sync_date_idx");
+  },
+};
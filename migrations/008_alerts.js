@@ -0,0 +1,52 @@
+// migrations/008_alerts.js
+// Alert rules evaluated against sync history, and the alerts they raise.
+// A rule without a client_id applies to every client.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE alert_rules (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        type VARCHAR(30) NOT NULL
+          CHECK (type IN ('NO_SUCCESS', 'CONSECUTIVE_FAILURES', 'RECORD_DROP')),
+        params JSONB NOT NULL DEFAULT '{}',
+        client_id VARCHAR(50) REFERENCES sync_users(client_id),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE alerts (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN'
+          CHECK (status IN ('OPEN', 'RESOLVED')),
+        message TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        opened_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        resolved_at TIMESTAMP,
+        acknowledged_at TIMESTAMP,
+        acknowledged_by INTEGER,
+        acknowledged_by_username VARCHAR(100)
+      )
+    `);
+
+    // A rule holds at most one open alert per client
+    await client.query(`
+      CREATE UNIQUE INDEX alerts_open_key ON alerts (rule_id, client_id)
+        WHERE status = 'OPEN'
+    `);
+    await client.query(
+      "CREATE INDEX alerts_opened_at_idx ON alerts (opened_at DESC)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE alerts");
+    await client.query("DROP TABLE alert_rules");
+  },
+};
@@ -0,0 +1,65 @@
+// migrations/009_webhooks.js
+// Outbound webhook subscriptions, one delivery per event and subscriber, and
+// a log of every delivery attempt.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE webhooks (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        events TEXT[] NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        description TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+          CHECK (status IN ('PENDING', 'DELIVERED', 'FAILED')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_status_code INTEGER,
+        last_error TEXT,
+        redelivery_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      )
+    `);
+    await client.query(`
+      CREATE INDEX webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+        WHERE status = 'PENDING'
+    `);
+    await client.query(
+      "CREATE INDEX webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, created_at DESC)"
+    );
+
+    await client.query(`
+      CREATE TABLE webhook_delivery_attempts (
+        id BIGSERIAL PRIMARY KEY,
+        delivery_id BIGINT NOT NULL
+          REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        attempted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER NOT NULL
+      )
+    `);
+    await client.query(
+      "CREATE INDEX webhook_delivery_attempts_delivery_idx ON webhook_delivery_attempts (delivery_id)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE webhook_delivery_attempts");
+    await client.query("DROP TABLE webhook_deliveries");
+    await client.query("DROP TABLE webhooks");
+  },
+};
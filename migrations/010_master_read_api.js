@@ -0,0 +1,19 @@
+// migrations/010_master_read_api.js
+// Support for reading synced acc_master data back: a per-client timestamp of
+// the last data change for cache validation, and an index for walking the
+// super_code hierarchy
+module.exports = {
+  async up(client) {
+    await client.query(
+      "ALTER TABLE sync_users ADD COLUMN data_updated_at TIMESTAMP"
+    );
+    await client.query(
+      "CREATE INDEX acc_master_client_super_code_idx ON acc_master (client_id, super_code)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP INDEX acc_master_client_super_code_idx");
+    await client.query("ALTER TABLE sync_users DROP COLUMN data_updated_at");
+  },
+};
@@ -0,0 +1,20 @@
+// migrations/011_end_user_logins.js
+// Failed end-user login counts per client and user ID, for lockout
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE end_user_login_failures (
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        user_id VARCHAR(50) NOT NULL,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_until TIMESTAMP,
+        PRIMARY KEY (client_id, user_id)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE end_user_login_failures");
+  },
+};
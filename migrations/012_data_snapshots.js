@@ -0,0 +1,37 @@
+// migrations/012_data_snapshots.js
+// Copies of each client's synced data after its recent syncs, kept so a bad
+// sync can be compared with earlier data and rolled back. Each snapshot row
+// holds one entity row as JSON, under its key.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE data_snapshots (
+        id BIGSERIAL PRIMARY KEY,
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        source VARCHAR(20) NOT NULL,
+        row_counts JSONB NOT NULL,
+        restored_from BIGINT REFERENCES data_snapshots(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    await client.query(
+      "CREATE INDEX data_snapshots_client_idx ON data_snapshots (client_id, id)"
+    );
+
+    await client.query(`
+      CREATE TABLE data_snapshot_rows (
+        snapshot_id BIGINT NOT NULL
+          REFERENCES data_snapshots(id) ON DELETE CASCADE,
+        entity VARCHAR(50) NOT NULL,
+        key TEXT NOT NULL,
+        data JSONB NOT NULL,
+        PRIMARY KEY (snapshot_id, entity, key)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE data_snapshot_rows");
+    await client.query("DROP TABLE data_snapshots");
+  },
+};
@@ -0,0 +1,47 @@
+// migrations/013_client_quotas.js
+// Per-client limits on the sync API and the usage counted against them. A
+// NULL limit column means the server default from the environment applies.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_users
+        ADD COLUMN rate_limit_requests INTEGER,
+        ADD COLUMN rate_limit_window_seconds INTEGER,
+        ADD COLUMN daily_record_quota BIGINT,
+        ADD COLUMN max_payload_bytes INTEGER
+    `);
+
+    // Requests per fixed window; window_start is in epoch seconds
+    await client.query(`
+      CREATE TABLE sync_request_counts (
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        window_start BIGINT NOT NULL,
+        window_seconds INTEGER NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (client_id, window_start, window_seconds)
+      )
+    `);
+
+    // Records accepted per UTC day
+    await client.query(`
+      CREATE TABLE sync_record_usage (
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        day DATE NOT NULL,
+        records BIGINT NOT NULL DEFAULT 0,
+        PRIMARY KEY (client_id, day)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE sync_record_usage");
+    await client.query("DROP TABLE sync_request_counts");
+    await client.query(`
+      ALTER TABLE sync_users
+        DROP COLUMN rate_limit_requests,
+        DROP COLUMN rate_limit_window_seconds,
+        DROP COLUMN daily_record_quota,
+        DROP COLUMN max_payload_bytes
+    `);
+  },
+};
@@ -0,0 +1,16 @@
+// migrations/014_validation_mode.js
+// How each client's sync payloads are validated: "strict" rejects a sync
+// with any invalid row, "lenient" skips the invalid rows
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_users
+        ADD COLUMN validation_mode VARCHAR(10) NOT NULL DEFAULT 'lenient'
+          CHECK (validation_mode IN ('strict', 'lenient'))
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE sync_users DROP COLUMN validation_mode");
+  },
+};
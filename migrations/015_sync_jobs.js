@@ -0,0 +1,37 @@
+// migrations/015_sync_jobs.js
+// Queued sync payloads processed in the background. The payload is dropped
+// once the job finishes; the outcome stays until the job is cleaned up.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE sync_jobs (
+        id UUID PRIMARY KEY,
+        client_id VARCHAR(50) NOT NULL REFERENCES sync_users(client_id),
+        status VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
+        mode VARCHAR(10) NOT NULL,
+        payload JSONB,
+        total_rows INTEGER NOT NULL,
+        processed_rows INTEGER NOT NULL DEFAULT 0,
+        validation JSONB,
+        result JSONB,
+        errors JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        heartbeat_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+    await client.query(
+      "CREATE INDEX sync_jobs_status_idx ON sync_jobs (status, created_at)"
+    );
+    await client.query(
+      "CREATE INDEX sync_jobs_client_idx ON sync_jobs (client_id, created_at)"
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE sync_jobs");
+  },
+};
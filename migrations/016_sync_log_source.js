@@ -0,0 +1,15 @@
+// migrations/016_sync_log_source.js
+// Where each sync log came from: the client's own sync, or data an admin
+// imported for it
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_logs
+        ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'CLIENT'
+    `);
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE sync_logs DROP COLUMN source");
+  },
+};
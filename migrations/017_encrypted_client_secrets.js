@@ -0,0 +1,26 @@
+// migrations/017_encrypted_client_secrets.js
+// Encrypted client and webhook secrets are longer than the plain values the
+// columns were sized for. Existing rows are encrypted by
+// scripts/encrypt-client-secrets.js.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE sync_users
+        ALTER COLUMN db_password TYPE TEXT,
+        ALTER COLUMN signing_secret TYPE TEXT
+    `);
+    await client.query("ALTER TABLE webhooks ALTER COLUMN secret TYPE TEXT");
+  },
+
+  // Fails while encrypted values are stored
+  async down(client) {
+    await client.query(`
+      ALTER TABLE sync_users
+        ALTER COLUMN db_password TYPE VARCHAR(255),
+        ALTER COLUMN signing_secret TYPE VARCHAR(64)
+    `);
+    await client.query(
+      "ALTER TABLE webhooks ALTER COLUMN secret TYPE VARCHAR(64)"
+    );
+  },
+};
@@ -5,7 +5,26 @@ const router = express.Router();
 const logger = require("../utils/logger");
 const dbService = require("../services/dbService");
 const jwt = require("jsonwebtoken");
-const { requireSuperAdmin } = require("../middleware/auth");
+const { requireAdmin, requireRole } = require("../middleware/auth");
+const { clearClientData } = require("../services/syncService");
+const { unguardField, parseCsv, csvRow } = require("../utils/csv");
+const {
+  MASKED_SECRET,
+  encryptSecret,
+  decryptSecret,
+  decryptColumns,
+  maskColumns,
+} = require("../utils/secrets");
+const { diff, recordAudit } = require("../services/auditService");
+const { issueToken } = require("../services/tokenService");
+const { clientUsage } = require("../services/quotaService");
+const { enqueueEvent, withoutSecrets } = require("../services/webhookService");
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  isHashed,
+  verifyPassword,
+} = require("../utils/passwords");
 
 //Admin Login
 const COOKIE_NAME = process.env.COOKIE_NAME;
@@ -17,6 +36,12 @@ if (!COOKIE_NAME || !JWT_SECRET || !JWT_EXPIRES_IN) {
     "Missing one of COOKIE_NAME, JWT_SECRET or JWT_EXPIRES_IN in .env"
   );
 }
+// Role required by each route: viewers read clients and logs, operators also
+// create and update clients, superadmins also delete clients
+const viewer = requireRole("viewer");
+const operator = requireRole("operator");
+const superadmin = requireRole("superadmin");
+
 router.post("/login", async (req, res) => {
   const { username, password } = req.body;
 
@@ -34,13 +59,21 @@ router.post("/login", async (req, res) => {
   }
   const admin = result.rows[0];
 
-  // direct plain-text compare
-  if (password !== admin.password) {
+  if (!(await verifyPassword(password, admin.password))) {
     return res
       .status(401)
       .json({ success: false, error: "Invalid credentials" });
   }
 
+  // upgrade a legacy plain-text password to a hash now that we know it
+  if (!isHashed(admin.password)) {
+    await dbService.query(`UPDATE sync_admin SET password = $1 WHERE id = $2`, [
+      await hashPassword(password),
+      admin.id,
+    ]);
+    logger.info(`Upgraded plain-text password for admin ${admin.id}`);
+  }
+
   // generate JWT that lives for 10 days
   const token = jwt.sign({ adminId: admin.id }, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN,
@@ -64,7 +97,7 @@ router.post("/login", async (req, res) => {
 });
 
 // Admin Logout
-router.post("/logout", requireSuperAdmin, async (req, res) => {
+router.post("/logout", requireAdmin, async (req, res) => {
   await dbService.query(
     `UPDATE sync_admin SET access_token = NULL WHERE id = $1`,
     [req.adminId]
@@ -73,93 +106,172 @@ router.post("/logout", requireSuperAdmin, async (req, res) => {
   res.json({ success: true });
 });
 
-// “Who am I?” — returns 200 if token valid
-router.get("/me", requireSuperAdmin, (req, res) => {
-  res.json({ success: true, adminId: req.adminId });
-});
+// Change the logged-in admin's password. This ends the current session, so
+// the admin has to log in again with the new password.
+router.post("/change-password", requireAdmin, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
-// Generate a secure token for user authentication (10 digit unique ID)
-function generateClientId() {
-  return Math.floor(1000 + Math.random() * 9000).toString();
-}
+    if (
+      typeof currentPassword !== "string" ||
+      typeof newPassword !== "string" ||
+      !currentPassword ||
+      !newPassword
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Current and new password are required",
+      });
+    }
 
-// Generate a secure token for user authentication
-function generateSecureToken() {
-  return crypto.randomBytes(32).toString("hex");
-}
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
 
-// Initialize database - use this on application start
-router.get("/initialize", async (req, res) => {
-  try {
-    // Using the query method from dbService instead of direct connection
-    await dbService.query(`
-      CREATE TABLE IF NOT EXISTS sync_users (
-        id SERIAL PRIMARY KEY,
-        client_id VARCHAR(50) UNIQUE NOT NULL,
-        db_name VARCHAR(100) NOT NULL,
-        db_user VARCHAR(100) NOT NULL,
-        db_password VARCHAR(255) NOT NULL,
-        access_token VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP,
-        client_name TEXT,
-        address TEXT,
-        phone_number TEXT,
-        username TEXT,
-        password TEXT
-      )
-    `);
-
-    await dbService.query(`
-      CREATE TABLE IF NOT EXISTS sync_logs (
-        id SERIAL PRIMARY KEY,
-        client_id VARCHAR(50) REFERENCES sync_users(client_id),
-        sync_date TIMESTAMP NOT NULL DEFAULT NOW(),
-        records_synced INTEGER,
-        status VARCHAR(20) NOT NULL,
-        message TEXT
-      )
-    `);
-
-    // Create acc_users table
-    await dbService.query(`
-      CREATE TABLE IF NOT EXISTS acc_users (
-        id SERIAL PRIMARY KEY,
-        pass VARCHAR(255) NOT NULL,
-        client_id VARCHAR(50) NOT NULL
-      )
-    `);
-
-    // Create acc_master table
-    await dbService.query(`
-      CREATE TABLE IF NOT EXISTS acc_master (
-        id SERIAL PRIMARY KEY,
-        code VARCHAR(50),
-        name VARCHAR(255),
-        address TEXT,
-        place VARCHAR(255),
-        super_code VARCHAR(50),
-        client_id VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW()
-      )
-    `);
-
-    logger.info("Database initialized successfully");
-    res.json({ success: true, message: "Database initialized successfully" });
+    const result = await dbService.query(
+      `SELECT password FROM sync_admin WHERE id = $1`,
+      [req.adminId]
+    );
+    if (!(await verifyPassword(currentPassword, result.rows[0].password))) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Current password is incorrect" });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await dbService.transaction(async (client) => {
+      await client.query(
+        `UPDATE sync_admin
+            SET password = $1, access_token = NULL, updated_at = NOW()
+          WHERE id = $2`,
+        [passwordHash, req.adminId]
+      );
+
+      await recordAudit(client, req, {
+        action: "ADMIN_PASSWORD_CHANGE",
+        targetAdminId: req.adminId,
+        before: { password: result.rows[0].password },
+        after: { password: passwordHash },
+      });
+    });
+
+    logger.info(`Admin ${req.adminId} changed their password`);
+    res.clearCookie(COOKIE_NAME);
+    res.json({ success: true });
   } catch (error) {
-    logger.error(`Error initializing database: ${error.message}`, { error });
+    logger.error(`Error changing admin password: ${error.message}`, {
+      error,
+      adminId: req.adminId,
+    });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// List all users
-router.get("/list-users", async (req, res) => {
+// “Who am I?” — returns 200 if token valid
+router.get("/me", requireAdmin, (req, res) => {
+  res.json({ success: true, adminId: req.adminId, role: req.adminRole });
+});
+
+// How a client's sync payloads may be validated
+const VALIDATION_MODES = ["strict", "lenient"];
+
+// sync_users columns captured in audit entries for client changes
+const AUDITED_CLIENT_COLUMNS = `client_id, db_name, db_user, db_password,
+  client_name, address, phone_number, username, password`;
+
+// Client IDs are random numbers of this many digits. Once IDs of one length
+// are hard to find unused, longer ones are handed out.
+const CLIENT_ID_DIGITS = 4;
+
+// Pick `count` unused client IDs. An advisory lock held until the
+// transaction ends keeps concurrent creations from picking the same ID.
+async function allocateClientIds(client, count) {
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('sync_users.client_id'))"
+  );
+  const result = await client.query("SELECT client_id FROM sync_users");
+  const taken = new Set(result.rows.map((row) => row.client_id));
+
+  const ids = [];
+  let digits = CLIENT_ID_DIGITS;
+  while (ids.length < count) {
+    const low = 10 ** (digits - 1);
+    let id;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      id = String(low + crypto.randomInt(9 * low));
+      if (!taken.has(id)) break;
+    }
+
+    if (taken.has(id)) {
+      digits++;
+      continue;
+    }
+    taken.add(id);
+    ids.push(id);
+  }
+  return ids;
+}
+
+// Insert a client with its first access token, and record it in the audit
+// trail and the webhook queue. `fields` holds the add-users body fields.
+// Returns the plain access token; only its hash is stored.
+async function createClient(client, req, clientId, fields) {
+  const inserted = await client.query(
+    `INSERT INTO sync_users (client_id, db_name, db_user, db_password, client_name, address, phone_number, username, password, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     RETURNING ${AUDITED_CLIENT_COLUMNS}`,
+    [
+      clientId,
+      fields.dbName,
+      fields.dbUser,
+      encryptSecret(fields.dbPassword),
+      fields.clientName,
+      fields.address,
+      fields.phoneNumber,
+      fields.username,
+      encryptSecret(fields.password),
+    ]
+  );
+
+  const { token: accessToken } = await issueToken(client, clientId, "default");
+
+  await recordAudit(client, req, {
+    action: "CLIENT_CREATE",
+    clientId,
+    after: inserted.rows[0],
+  });
+  await enqueueEvent(
+    client,
+    "client.created",
+    withoutSecrets(inserted.rows[0])
+  );
+
+  return accessToken;
+}
+
+// The settings a client's sync tool is configured with. Access tokens are
+// stored hashed, so they are only shown when issued or rotated.
+function clientConfig(clientId, dbName) {
+  return {
+    clientId,
+    dbName,
+    apiUrl: process.env.API_URL || "https://synctool.imcbs.com",
+  };
+}
+
+// List all users. Passwords are masked; see the reveal route below.
+router.get("/list-users", viewer, async (req, res) => {
   try {
     const result = await dbService.query(
-      "SELECT client_id, db_name, db_user, client_name, address, phone_number, username, password, created_at FROM sync_users ORDER BY created_at DESC"
+      `SELECT client_id, db_name, db_user, client_name, address, phone_number,
+              username, password, created_at, require_signed_requests,
+              signing_secret IS NOT NULL AS has_signing_secret, validation_mode
+         FROM sync_users ORDER BY created_at DESC`
     );
 
-    res.json({ success: true, users: result.rows });
+    res.json({ success: true, users: result.rows.map(maskColumns) });
   } catch (error) {
     logger.error(`Error listing users: ${error.message}`, { error });
     res.status(500).json({ success: false, error: error.message });
@@ -167,7 +279,7 @@ router.get("/list-users", async (req, res) => {
 });
 
 // Create a new user
-router.post("/add-users", async (req, res) => {
+router.post("/add-users", operator, async (req, res) => {
   try {
     const {
       dbName,
@@ -209,42 +321,10 @@ router.post("/add-users", async (req, res) => {
       });
     }
 
-    // Generate client ID automatically
-    const clientId = generateClientId();
-
     // Using the transaction method for operations that should be atomic
     await dbService.transaction(async (client) => {
-      // Check if generated client ID already exists (unlikely but possible)
-      const checkResult = await client.query(
-        "SELECT client_id FROM sync_users WHERE client_id = $1",
-        [clientId]
-      );
-
-      if (checkResult.rowCount > 0) {
-        // If exists, generate another one (recursive)
-        logger.warn(`Client ID collision detected: ${clientId}`);
-        throw new Error("Client ID collision - please try again");
-      }
-
-      // Generate access token for secure credential retrieval
-      const accessToken = generateSecureToken();
-
-      // Insert new user
-      await client.query(
-        "INSERT INTO sync_users (client_id, db_name, db_user, db_password, access_token, client_name, address, phone_number, username, password, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())",
-        [
-          clientId,
-          dbName,
-          dbUser,
-          dbPassword,
-          accessToken,
-          clientName,
-          address,
-          phoneNumber,
-          username,
-          password,
-        ]
-      );
+      const [clientId] = await allocateClientIds(client, 1);
+      const accessToken = await createClient(client, req, clientId, req.body);
 
       logger.info(`Successfully created user with client ID: ${clientId}`);
 
@@ -261,29 +341,265 @@ router.post("/add-users", async (req, res) => {
     res.json(res.locals.responseData);
   } catch (error) {
     logger.error(`Error creating user: ${error.message}`, { error });
-    res
-      .status(
-        error.message === "Client ID collision - please try again" ? 409 : 500
-      )
-      .json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fields of a client row in a bulk onboarding file, with the longest value
+// the sync_users column takes where it is limited. CSV headers match them
+// ignoring case, spaces, dashes and underscores, so "Client Name" and
+// client_name both fill clientName.
+const BULK_CLIENT_FIELDS = {
+  clientName: null,
+  address: null,
+  phoneNumber: null,
+  dbName: 100,
+  dbUser: 100,
+  dbPassword: null,
+  username: null,
+  password: null,
+};
+
+// Clients created by one bulk onboarding file at most
+const MAX_BULK_CLIENTS = 1000;
+
+const BULK_RESULT_FORMATS = ["csv", "json"];
+
+// Columns of the result file a bulk onboarding returns
+const BULK_RESULT_COLUMNS = [
+  "line",
+  "client_id",
+  "client_name",
+  "username",
+  "db_name",
+  "access_token",
+  "api_url",
+];
+
+// Read a bulk onboarding file into client field objects. Returns { clients,
+// issues }, where `index` in an issue counts data rows from 0 so the line in
+// the file is index + 2, or { error } when the file itself is unusable.
+function readBulkClients(csv) {
+  let table;
+  try {
+    table = parseCsv(csv);
+  } catch (error) {
+    return { error: error.message };
+  }
+  if (table.length === 0) return { error: "CSV has no header row" };
+
+  const [headers, ...lines] = table;
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, "");
+  const fields = Object.keys(BULK_CLIENT_FIELDS);
+
+  const columns = [];
+  for (const header of headers) {
+    const field = fields.find((name) => normalize(name) === normalize(header));
+    if (!field) return { error: `CSV has an unknown column "${header}"` };
+    if (columns.includes(field)) {
+      return { error: `CSV has more than one column for ${field}` };
+    }
+    columns.push(field);
+  }
+  const missing = fields.filter((field) => !columns.includes(field));
+  if (missing.length > 0) {
+    return { error: `CSV is missing the column(s): ${missing.join(", ")}` };
+  }
+
+  if (lines.length === 0) return { error: "CSV has no client rows" };
+  if (lines.length > MAX_BULK_CLIENTS) {
+    return {
+      error: `At most ${MAX_BULK_CLIENTS} clients can be onboarded at once`,
+    };
+  }
+
+  const issues = [];
+  const usernames = new Map();
+  const clients = lines.map((values, index) => {
+    const client = {};
+    columns.forEach((field, i) => {
+      client[field] = unguardField(values[i] ?? "");
+    });
+
+    for (const [field, maxLength] of Object.entries(BULK_CLIENT_FIELDS)) {
+      if (client[field].trim() === "") {
+        issues.push({ index, field, reason: "is required" });
+      } else if (maxLength && client[field].length > maxLength) {
+        issues.push({
+          index,
+          field,
+          reason: `must be at most ${maxLength} characters`,
+        });
+      }
+    }
+
+    if (usernames.has(client.username)) {
+      issues.push({
+        index,
+        field: "username",
+        reason: `same username as index ${usernames.get(client.username)}`,
+      });
+    } else if (client.username.trim() !== "") {
+      usernames.set(client.username, index);
+    }
+    return client;
+  });
+
+  return { clients, issues };
+}
+
+// Create many clients from a CSV file in one transaction. The body is
+// { csv }, the file's text with a header row naming BULK_CLIENT_FIELDS. If
+// any row is invalid nothing is created. The response is a file listing
+// each new client's ID, access token and config, by its line in the file,
+// as CSV unless ?format=json. Access tokens are not shown again.
+router.post("/add-users/bulk", operator, async (req, res) => {
+  const { csv } = req.body;
+  const format = req.query.format || "csv";
+
+  if (!BULK_RESULT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${BULK_RESULT_FORMATS.join(", ")}`,
+    });
+  }
+  if (typeof csv !== "string") {
+    return res
+      .status(400)
+      .json({ success: false, error: "csv must be the file's text" });
+  }
+
+  const { clients, issues, error } = readBulkClients(csv);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  if (issues.length > 0) {
+    logger.warn("Bulk client onboarding failed validation", {
+      rows: clients.length,
+      issueCount: issues.length,
+    });
+    return res.status(422).json({
+      success: false,
+      error: "Onboarding file failed validation",
+      issues,
+    });
+  }
+
+  try {
+    const created = await dbService.transaction(async (client) => {
+      const clientIds = await allocateClientIds(client, clients.length);
+      const results = [];
+      for (const [index, fields] of clients.entries()) {
+        const clientId = clientIds[index];
+        const accessToken = await createClient(client, req, clientId, fields);
+        results.push({
+          line: index + 2,
+          clientId,
+          clientName: fields.clientName,
+          username: fields.username,
+          accessToken,
+          config: clientConfig(clientId, fields.dbName),
+        });
+      }
+      return results;
+    });
+
+    logger.info(
+      `Admin ${req.adminId} onboarded ${created.length} clients in bulk`,
+      { clientIds: created.map((result) => result.clientId) }
+    );
+
+    if (format === "json") {
+      return res.json({
+        success: true,
+        message: `Created ${created.length} clients`,
+        clients: created,
+      });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="clients-${stamp}.csv"`
+    );
+    res.send(
+      csvRow(BULK_RESULT_COLUMNS) +
+        created
+          .map((result) =>
+            csvRow([
+              result.line,
+              result.clientId,
+              result.clientName,
+              result.username,
+              result.config.dbName,
+              result.accessToken,
+              result.config.apiUrl,
+            ])
+          )
+          .join("")
+    );
+  } catch (error) {
+    logger.error(`Error onboarding clients in bulk: ${error.message}`, {
+      error,
+    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Delete a user
-router.delete("/delete-users/:clientId", async (req, res) => {
+router.delete("/delete-users/:clientId", superadmin, async (req, res) => {
   try {
     const { clientId } = req.params;
     logger.info(`Attempting to delete user with client ID: ${clientId}`);
 
     // Using transaction for deletion across multiple tables
     await dbService.transaction(async (client) => {
-      //  Delete from acc_users
-      await client.query("DELETE FROM acc_users WHERE client_id = $1", [
+      // Delete the client's synced data from every registered entity table
+      await clearClientData(client, clientId);
+
+      // Delete sync jobs
+      await client.query("DELETE FROM sync_jobs WHERE client_id = $1", [
+        clientId,
+      ]);
+
+      // Delete sync sessions (their chunks cascade)
+      await client.query("DELETE FROM sync_sessions WHERE client_id = $1", [
+        clientId,
+      ]);
+
+      // Delete the client's access tokens and signed request nonces
+      await client.query("DELETE FROM client_tokens WHERE client_id = $1", [
         clientId,
       ]);
+      await client.query(
+        "DELETE FROM sync_request_nonces WHERE client_id = $1",
+        [clientId]
+      );
 
-      // Delete from acc_master
-      await client.query("DELETE FROM acc_master WHERE client_id = $1", [
+      // Delete the data snapshots (their rows cascade)
+      await client.query("DELETE FROM data_snapshots WHERE client_id = $1", [
+        clientId,
+      ]);
+
+      // Delete the client's quota usage
+      await client.query(
+        "DELETE FROM sync_request_counts WHERE client_id = $1",
+        [clientId]
+      );
+      await client.query("DELETE FROM sync_record_usage WHERE client_id = $1", [
+        clientId,
+      ]);
+
+      // Delete the end-user login lockouts
+      await client.query(
+        "DELETE FROM end_user_login_failures WHERE client_id = $1",
+        [clientId]
+      );
+
+      // Delete the client's alerts and the alert rules specific to it
+      await client.query("DELETE FROM alerts WHERE client_id = $1", [clientId]);
+      await client.query("DELETE FROM alert_rules WHERE client_id = $1", [
         clientId,
       ]);
 
@@ -294,7 +610,8 @@ router.delete("/delete-users/:clientId", async (req, res) => {
 
       // Finally delete the user
       const result = await client.query(
-        "DELETE FROM sync_users WHERE client_id = $1",
+        `DELETE FROM sync_users WHERE client_id = $1
+         RETURNING ${AUDITED_CLIENT_COLUMNS}`,
         [clientId]
       );
 
@@ -302,6 +619,17 @@ router.delete("/delete-users/:clientId", async (req, res) => {
         throw new Error(`No user found with client ID: ${clientId}`);
       }
 
+      await recordAudit(client, req, {
+        action: "CLIENT_DELETE",
+        clientId,
+        before: result.rows[0],
+      });
+      await enqueueEvent(
+        client,
+        "client.deleted",
+        withoutSecrets(result.rows[0])
+      );
+
       logger.info(`Successfully deleted user with client ID: ${clientId}`);
 
       // Set response data within the transaction
@@ -324,8 +652,9 @@ router.delete("/delete-users/:clientId", async (req, res) => {
   }
 });
 
-// Update a user
-router.put("/update-users/:clientId", async (req, res) => {
+// Update a user. Sending the masked placeholder that list-users shows as
+// dbPassword or password keeps the stored value.
+router.put("/update-users/:clientId", operator, async (req, res) => {
   try {
     const { clientId } = req.params;
     const {
@@ -369,54 +698,71 @@ router.put("/update-users/:clientId", async (req, res) => {
       });
     }
 
-    // Generate new access token when updating
-    const accessToken = generateSecureToken();
+    await dbService.transaction(async (client) => {
+      const before = await client.query(
+        `SELECT ${AUDITED_CLIENT_COLUMNS} FROM sync_users
+          WHERE client_id = $1 FOR UPDATE`,
+        [clientId]
+      );
 
-    const result = await dbService.query(
-      `
-      UPDATE sync_users 
-      SET 
-        db_name = $2,
-        db_user = $3,
-        db_password = $4,
-        access_token = $5,
-        client_name = $6,
-        address = $7,
-        phone_number = $8,
-        username = $9,
-        password = $10,
-        updated_at = NOW()
-      WHERE client_id = $1
-      `,
-      [
-        clientId,
-        dbName,
-        dbUser,
-        dbPassword,
-        accessToken,
-        clientName,
-        address,
-        phoneNumber,
-        username,
-        password,
-      ]
-    );
+      if (before.rowCount === 0) {
+        throw new Error(`No user found with client ID: ${clientId}`);
+      }
 
-    if (result.rowCount === 0) {
-      logger.warn(`No user found with client ID: ${clientId}`);
-      return res.status(404).json({
-        success: false,
-        error: `No user found with client ID: ${clientId}`,
+      const result = await client.query(
+        `
+        UPDATE sync_users 
+        SET 
+          db_name = $2,
+          db_user = $3,
+          db_password = COALESCE($4, db_password),
+          client_name = $5,
+          address = $6,
+          phone_number = $7,
+          username = $8,
+          password = COALESCE($9, password),
+          updated_at = NOW()
+        WHERE client_id = $1
+        RETURNING ${AUDITED_CLIENT_COLUMNS}
+        `,
+        [
+          clientId,
+          dbName,
+          dbUser,
+          dbPassword === MASKED_SECRET ? null : encryptSecret(dbPassword),
+          clientName,
+          address,
+          phoneNumber,
+          username,
+          password === MASKED_SECRET ? null : encryptSecret(password),
+        ]
+      );
+
+      // Compared decrypted, as each encryption of a value differs
+      const beforeRow = decryptColumns(before.rows[0]);
+      const afterRow = decryptColumns(result.rows[0]);
+      await recordAudit(client, req, {
+        action: "CLIENT_UPDATE",
+        clientId,
+        before: beforeRow,
+        after: afterRow,
       });
-    }
+      await enqueueEvent(client, "client.updated", {
+        ...withoutSecrets(result.rows[0]),
+        changes: diff(beforeRow, afterRow),
+      });
+    });
 
     logger.info(`Successfully updated user with client ID: ${clientId}`);
     res.json({
       success: true,
       message: `User with client ID ${clientId} updated successfully`,
-      accessToken,
     });
   } catch (error) {
+    if (error.message.includes("No user found")) {
+      logger.warn(error.message);
+      return res.status(404).json({ success: false, error: error.message });
+    }
     logger.error(`Error updating user: ${error.message}`, {
       error,
       clientId: req.params.clientId,
@@ -425,14 +771,70 @@ router.put("/update-users/:clientId", async (req, res) => {
   }
 });
 
+// Client secrets an operator can reveal. Signing secrets are only shown
+// when generated.
+const REVEALABLE_SECRETS = ["db_password", "password"];
+
+// Show one of a client's secrets in plain text. Every reveal is recorded in
+// the audit trail.
+router.post(
+  "/users/:clientId/secrets/:field/reveal",
+  operator,
+  async (req, res) => {
+    const { clientId, field } = req.params;
+
+    if (!REVEALABLE_SECRETS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        error: `field must be one of: ${REVEALABLE_SECRETS.join(", ")}`,
+      });
+    }
+
+    try {
+      const value = await dbService.transaction(async (client) => {
+        const result = await client.query(
+          `SELECT ${field} AS value FROM sync_users WHERE client_id = $1`,
+          [clientId]
+        );
+        if (result.rowCount === 0) {
+          throw new Error(`No user found with client ID: ${clientId}`);
+        }
+
+        await recordAudit(client, req, {
+          action: "CLIENT_SECRET_REVEAL",
+          clientId,
+          after: { revealed: field },
+        });
+        return decryptSecret(result.rows[0].value);
+      });
+
+      logger.info(
+        `Admin ${req.adminId} revealed the ${field} of client ${clientId}`
+      );
+      res.json({ success: true, clientId, field, value });
+    } catch (error) {
+      if (error.message.includes("No user found")) {
+        logger.warn(error.message);
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error(`Error revealing client secret: ${error.message}`, {
+        error,
+        clientId,
+        field,
+      });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // Get user config
-router.get("/users/:clientId/config", async (req, res) => {
+router.get("/users/:clientId/config", operator, async (req, res) => {
   try {
     const { clientId } = req.params;
-    const API_URL = process.env.API_URL || "https://synctool.imcbs.com";
 
     const result = await dbService.query(
-      "SELECT client_id, db_name, access_token FROM sync_users WHERE client_id = $1",
+      `SELECT client_id, db_name, validation_mode
+         FROM sync_users WHERE client_id = $1`,
       [clientId]
     );
 
@@ -445,19 +847,14 @@ router.get("/users/:clientId/config", async (req, res) => {
     }
 
     const user = result.rows[0];
-
-    // Create user-specific config with minimal information
-    const userConfig = {
-      clientId: user.client_id,
-      dbName: user.db_name,
-      accessToken: user.access_token,
-      apiUrl: API_URL,
-    };
+    const userConfig = clientConfig(user.client_id, user.db_name);
 
     logger.info(`Generated config for user with client ID: ${clientId}`);
     res.json({
       success: true,
       config: userConfig,
+      validationMode: user.validation_mode,
+      quota: await clientUsage(dbService, clientId),
     });
   } catch (error) {
     logger.error(`Error generating user config: ${error.message}`, {
@@ -468,20 +865,54 @@ router.get("/users/:clientId/config", async (req, res) => {
   }
 });
 
-// Get sync logs
-router.get("/logs", async (req, res) => {
+// Choose how a client's sync payloads are validated: "strict" rejects a
+// sync with any invalid row, "lenient" skips the invalid rows
+router.put("/users/:clientId/validation", operator, async (req, res) => {
+  const { clientId } = req.params;
+  const { mode } = req.body;
+
+  if (!VALIDATION_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `mode must be one of: ${VALIDATION_MODES.join(", ")}`,
+    });
+  }
+
   try {
-    const result = await dbService.query(`
-      SELECT s.id, s.client_id, s.sync_date, s.records_synced, s.status, s.message, u.db_name 
-      FROM sync_logs s
-      JOIN sync_users u ON s.client_id = u.client_id
-      ORDER BY s.sync_date DESC
-      LIMIT 100
-    `);
-
-    res.json({ success: true, logs: result.rows });
+    await dbService.transaction(async (client) => {
+      const before = await client.query(
+        `SELECT validation_mode FROM sync_users
+          WHERE client_id = $1 FOR UPDATE`,
+        [clientId]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No user found with client ID: ${clientId}`);
+      }
+
+      await client.query(
+        `UPDATE sync_users SET validation_mode = $2, updated_at = NOW()
+          WHERE client_id = $1`,
+        [clientId, mode]
+      );
+
+      await recordAudit(client, req, {
+        action: "CLIENT_VALIDATION_UPDATE",
+        clientId,
+        before: before.rows[0],
+        after: { validation_mode: mode },
+      });
+    });
+
+    logger.info(`Set validation mode of client ${clientId} to ${mode}`);
+    res.json({ success: true, validationMode: mode });
   } catch (error) {
-    logger.error(`Error fetching logs: ${error.message}`, { error });
+    if (error.message.includes("No user found")) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error(`Error setting validation mode: ${error.message}`, {
+      error,
+      clientId,
+    });
     res.status(500).json({ success: false, error: error.message });
   }
 });
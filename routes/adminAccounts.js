@@ -0,0 +1,242 @@
+// routes/adminAccounts.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { MIN_PASSWORD_LENGTH, hashPassword } = require("../utils/passwords");
+const { recordAudit } = require("../services/auditService");
+
+// Managing admin accounts is reserved for superadmins
+router.use("/admins", requireRole("superadmin"));
+
+const ADMIN_COLUMNS = `id, username, role, created_at, updated_at,
+  access_token IS NOT NULL AS has_session`;
+
+// Admin fields compared in audit entries; the password hash is redacted
+function auditSnapshot(admin) {
+  const { username, role, password } = admin;
+  return { username, role, password };
+}
+
+// Throws unless at least one superadmin other than `adminId` would remain.
+// The superadmin rows stay locked until the transaction ends, so concurrent
+// demotions or deletions are checked one after the other.
+async function ensureOtherSuperAdmin(client, adminId) {
+  const result = await client.query(
+    "SELECT id FROM sync_admin WHERE role = 'superadmin' FOR UPDATE"
+  );
+  if (!result.rows.some((row) => row.id !== adminId)) {
+    throw new Error("At least one superadmin must remain");
+  }
+}
+
+// Passwords must be strings of at least MIN_PASSWORD_LENGTH characters.
+// Returns the error to send, or null.
+function passwordError(password) {
+  if (typeof password !== "string") return "Password must be a string";
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Reject non-numeric admin IDs before they reach a query
+router.param("id", (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res.status(400).json({ success: false, error: "Invalid admin ID" });
+  }
+  next();
+});
+
+// List admin accounts
+router.get("/admins", async (req, res) => {
+  try {
+    const result = await dbService.query(
+      `SELECT ${ADMIN_COLUMNS} FROM sync_admin ORDER BY username`
+    );
+    res.json({ success: true, admins: result.rows });
+  } catch (error) {
+    logger.error(`Error listing admins: ${error.message}`, { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create an admin account
+router.post("/admins", async (req, res) => {
+  try {
+    const { username, password, role = "viewer" } = req.body;
+
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Username and password are required" });
+    }
+    const invalidPassword = passwordError(password);
+    if (invalidPassword) {
+      return res.status(400).json({ success: false, error: invalidPassword });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const admin = await dbService.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO sync_admin (username, password, role, created_at)
+         VALUES ($1, $2, $3, NOW())
+         RETURNING ${ADMIN_COLUMNS}`,
+        [username, passwordHash, role]
+      );
+
+      await recordAudit(client, req, {
+        action: "ADMIN_CREATE",
+        targetAdminId: result.rows[0].id,
+        after: auditSnapshot({ ...result.rows[0], password: passwordHash }),
+      });
+      return result.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} created admin "${username}" (${role})`);
+    res.status(201).json({ success: true, admin });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res
+        .status(409)
+        .json({ success: false, error: "Username is already taken" });
+    }
+    logger.error(`Error creating admin: ${error.message}`, { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update an admin's username, role or password. A new password ends the
+// admin's current session.
+router.put("/admins/:id", async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    const { username, password, role } = req.body;
+
+    const invalidPassword =
+      password !== undefined ? passwordError(password) : null;
+    if (invalidPassword) {
+      return res.status(400).json({ success: false, error: invalidPassword });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    const passwordHash =
+      password !== undefined ? await hashPassword(password) : null;
+
+    const admin = await dbService.transaction(async (client) => {
+      if (role !== undefined && role !== "superadmin") {
+        await ensureOtherSuperAdmin(client, id);
+      }
+
+      const before = await client.query(
+        "SELECT id, username, role, password FROM sync_admin WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No admin found with ID: ${req.params.id}`);
+      }
+
+      const result = await client.query(
+        `UPDATE sync_admin
+            SET username = COALESCE($2, username),
+                role = COALESCE($3, role),
+                password = COALESCE($4, password),
+                access_token = CASE WHEN $4::text IS NULL
+                                    THEN access_token END,
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING ${ADMIN_COLUMNS}, password`,
+        [id, username || null, role || null, passwordHash]
+      );
+
+      await recordAudit(client, req, {
+        action: "ADMIN_UPDATE",
+        targetAdminId: id,
+        before: auditSnapshot(before.rows[0]),
+        after: auditSnapshot(result.rows[0]),
+      });
+
+      delete result.rows[0].password;
+      return result.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} updated admin ${id}`, {
+      username: !!username,
+      role,
+      password: password !== undefined,
+    });
+    res.json({ success: true, admin });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res
+        .status(409)
+        .json({ success: false, error: "Username is already taken" });
+    }
+    if (error.message === "At least one superadmin must remain") {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.message.includes("No admin found")) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error(`Error updating admin: ${error.message}`, { error, id });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an admin account
+router.delete("/admins/:id", async (req, res) => {
+  const id = Number(req.params.id);
+
+  if (id === req.adminId) {
+    return res
+      .status(409)
+      .json({ success: false, error: "You cannot delete your own account" });
+  }
+
+  try {
+    await dbService.transaction(async (client) => {
+      await ensureOtherSuperAdmin(client, id);
+
+      const result = await client.query(
+        "DELETE FROM sync_admin WHERE id = $1 RETURNING id, username, role, password",
+        [id]
+      );
+      if (result.rowCount === 0) {
+        throw new Error(`No admin found with ID: ${req.params.id}`);
+      }
+
+      await recordAudit(client, req, {
+        action: "ADMIN_DELETE",
+        targetAdminId: id,
+        before: auditSnapshot(result.rows[0]),
+      });
+    });
+
+    logger.info(`Admin ${req.adminId} deleted admin ${id}`);
+    res.json({ success: true, message: `Admin ${id} deleted successfully` });
+  } catch (error) {
+    if (error.message === "At least one superadmin must remain") {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.message.includes("No admin found")) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error(`Error deleting admin: ${error.message}`, { error, id });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
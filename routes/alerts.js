@@ -0,0 +1,343 @@
+// routes/alerts.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const { validateRule } = require("../services/alertService");
+
+const viewer = requireRole("viewer");
+const operator = requireRole("operator");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ALERT_STATUSES = ["OPEN", "RESOLVED"];
+
+const RULE_COLUMNS = `r.id, r.name, r.type, r.params, r.client_id, r.enabled,
+  r.created_at, r.updated_at,
+  (SELECT COUNT(*)::int FROM alerts a
+    WHERE a.rule_id = r.id AND a.status = 'OPEN') AS open_alerts`;
+
+// Rule fields compared in audit entries
+function auditSnapshot(rule) {
+  const { name, type, params, client_id, enabled } = rule;
+  return { name, type, params, client_id, enabled };
+}
+
+// Send the response for an error thrown by a rule or alert handler
+function sendAlertError(res, error, context) {
+  if (error.message.startsWith("No alert")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message === "Alert is already acknowledged") {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.code === "23503") {
+    return res.status(404).json({
+      success: false,
+      error: `No user found with client ID: ${context.clientId}`,
+    });
+  }
+  logger.error(`Alert error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// Reject non-numeric rule and alert IDs before they reach a query
+router.param("id", (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res.status(400).json({ success: false, error: "Invalid ID" });
+  }
+  next();
+});
+
+// List alert rules with their number of open alerts
+router.get("/alert-rules", viewer, async (req, res) => {
+  try {
+    const result = await dbService.query(
+      `SELECT ${RULE_COLUMNS} FROM alert_rules r ORDER BY r.id`
+    );
+    res.json({ success: true, rules: result.rows });
+  } catch (error) {
+    return sendAlertError(res, error, {});
+  }
+});
+
+// Create an alert rule. Without a clientId it applies to every client.
+router.post("/alert-rules", operator, async (req, res) => {
+  const { name, type, clientId = null, enabled = true } = req.body;
+
+  if (!name || typeof name !== "string" || name.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: "A rule name of up to 100 characters is required",
+    });
+  }
+  if (typeof enabled !== "boolean") {
+    return res
+      .status(400)
+      .json({ success: false, error: "enabled must be true or false" });
+  }
+  const { params, error } = validateRule(type, req.body.params);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const rule = await dbService.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO alert_rules (name, type, params, client_id, enabled)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [name, type, JSON.stringify(params), clientId, enabled]
+      );
+      const created = await client.query(
+        `SELECT ${RULE_COLUMNS} FROM alert_rules r WHERE r.id = $1`,
+        [result.rows[0].id]
+      );
+
+      await recordAudit(client, req, {
+        action: "ALERT_RULE_CREATE",
+        clientId,
+        after: auditSnapshot(created.rows[0]),
+      });
+      return created.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} created alert rule "${name}" (${type})`);
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    return sendAlertError(res, error, { clientId });
+  }
+});
+
+// Update a rule's name, type, params or enabled flag. Open alerts are
+// re-checked against the new settings on the next evaluation.
+router.put("/alert-rules/:id", operator, async (req, res) => {
+  const id = Number(req.params.id);
+  const { name, type, enabled } = req.body;
+
+  if (
+    name !== undefined &&
+    (!name || typeof name !== "string" || name.length > 100)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "A rule name of up to 100 characters is required",
+    });
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return res
+      .status(400)
+      .json({ success: false, error: "enabled must be true or false" });
+  }
+
+  try {
+    const rule = await dbService.transaction(async (client) => {
+      const before = await client.query(
+        "SELECT * FROM alert_rules WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No alert rule found with ID: ${id}`);
+      }
+
+      // Params are checked against the new type, or the current one
+      const newType = type === undefined ? before.rows[0].type : type;
+      const validated = validateRule(
+        newType,
+        req.body.params === undefined ? before.rows[0].params : req.body.params
+      );
+      if (validated.error) {
+        const error = new Error(validated.error);
+        error.status = 400;
+        throw error;
+      }
+
+      await client.query(
+        `UPDATE alert_rules
+            SET name = COALESCE($2, name),
+                type = $3,
+                params = $4,
+                enabled = COALESCE($5, enabled),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [
+          id,
+          name || null,
+          newType,
+          JSON.stringify(validated.params),
+          enabled === undefined ? null : enabled,
+        ]
+      );
+      const after = await client.query(
+        `SELECT ${RULE_COLUMNS} FROM alert_rules r WHERE r.id = $1`,
+        [id]
+      );
+
+      await recordAudit(client, req, {
+        action: "ALERT_RULE_UPDATE",
+        clientId: before.rows[0].client_id,
+        before: auditSnapshot(before.rows[0]),
+        after: auditSnapshot(after.rows[0]),
+      });
+      return after.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} updated alert rule ${id}`);
+    res.json({ success: true, rule });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    return sendAlertError(res, error, { id });
+  }
+});
+
+// Delete a rule together with its alerts
+router.delete("/alert-rules/:id", operator, async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    await dbService.transaction(async (client) => {
+      const result = await client.query(
+        "DELETE FROM alert_rules WHERE id = $1 RETURNING *",
+        [id]
+      );
+      if (result.rowCount === 0) {
+        throw new Error(`No alert rule found with ID: ${id}`);
+      }
+
+      await recordAudit(client, req, {
+        action: "ALERT_RULE_DELETE",
+        clientId: result.rows[0].client_id,
+        before: auditSnapshot(result.rows[0]),
+      });
+    });
+
+    logger.info(`Admin ${req.adminId} deleted alert rule ${id}`);
+    res.json({ success: true, message: `Alert rule ${id} deleted` });
+  } catch (error) {
+    return sendAlertError(res, error, { id });
+  }
+});
+
+// List alerts, newest first. Filters: status (OPEN/RESOLVED), clientId,
+// ruleId, acknowledged (true/false). Paginated with page and pageSize.
+router.get("/alerts", viewer, async (req, res) => {
+  const { status, clientId, ruleId, acknowledged } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  if (status !== undefined && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${ALERT_STATUSES.join(", ")}`,
+    });
+  }
+  if (ruleId !== undefined && !/^\d+$/.test(ruleId)) {
+    return res.status(400).json({ success: false, error: "Invalid rule ID" });
+  }
+  if (acknowledged !== undefined && !["true", "false"].includes(acknowledged)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "acknowledged must be true or false" });
+  }
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (status !== undefined) addCondition("a.status = ?", status);
+  if (clientId !== undefined) addCondition("a.client_id = ?", clientId);
+  if (ruleId !== undefined) addCondition("a.rule_id = ?", Number(ruleId));
+  if (acknowledged !== undefined) {
+    addCondition(
+      "(a.acknowledged_at IS NOT NULL) = ?",
+      acknowledged === "true"
+    );
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  try {
+    const total = await dbService.query(
+      `SELECT COUNT(*)::int AS count FROM alerts a ${where}`,
+      params
+    );
+    const result = await dbService.query(
+      `SELECT a.id, a.rule_id, r.name AS rule_name, r.type AS rule_type,
+              a.client_id, u.client_name, a.status, a.message, a.details,
+              a.opened_at, a.last_seen_at, a.resolved_at, a.acknowledged_at,
+              a.acknowledged_by, a.acknowledged_by_username
+         FROM alerts a
+         JOIN alert_rules r ON r.id = a.rule_id
+         JOIN sync_users u ON u.client_id = a.client_id
+         ${where}
+        ORDER BY a.opened_at DESC, a.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      success: true,
+      alerts: result.rows,
+      page,
+      pageSize,
+      total: total.rows[0].count,
+    });
+  } catch (error) {
+    return sendAlertError(res, error, {});
+  }
+});
+
+// Acknowledge an alert, recording who did it. The alert stays open until its
+// rule no longer matches.
+router.post("/alerts/:id/acknowledge", operator, async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    const alert = await dbService.transaction(async (client) => {
+      const result = await client.query(
+        "SELECT id, client_id, acknowledged_at FROM alerts WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (result.rowCount === 0) {
+        throw new Error(`No alert found with ID: ${id}`);
+      }
+      if (result.rows[0].acknowledged_at) {
+        throw new Error("Alert is already acknowledged");
+      }
+
+      const updated = await client.query(
+        `UPDATE alerts
+            SET acknowledged_at = NOW(),
+                acknowledged_by = $2,
+                acknowledged_by_username = $3
+          WHERE id = $1
+          RETURNING id, status, acknowledged_at, acknowledged_by,
+                    acknowledged_by_username`,
+        [id, req.adminId, req.adminUsername]
+      );
+
+      await recordAudit(client, req, {
+        action: "ALERT_ACKNOWLEDGE",
+        clientId: result.rows[0].client_id,
+        after: { alert_id: id },
+      });
+      return updated.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} acknowledged alert ${id}`);
+    res.json({ success: true, alert });
+  } catch (error) {
+    return sendAlertError(res, error, { id });
+  }
+});
+
+module.exports = router;
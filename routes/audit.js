@@ -0,0 +1,76 @@
+// routes/audit.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Browse the admin audit trail, newest first. Filters: adminId (who acted),
+// targetAdminId, clientId, action, from, to (timestamps). Paginated with
+// page and pageSize.
+router.get("/audit", requireRole("superadmin"), async (req, res) => {
+  try {
+    const { adminId, targetAdminId, clientId, action, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res
+          .status(400)
+          .json({ success: false, error: `${name} must be a valid date` });
+      }
+    }
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (adminId !== undefined) addCondition("admin_id = ?", Number(adminId));
+    if (targetAdminId !== undefined) {
+      addCondition("target_admin_id = ?", Number(targetAdminId));
+    }
+    if (clientId !== undefined) addCondition("client_id = ?", clientId);
+    if (action !== undefined) addCondition("action = ?", action);
+    if (from !== undefined) addCondition("created_at >= ?", from);
+    if (to !== undefined) addCondition("created_at < ?", to);
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const total = await dbService.query(
+      `SELECT COUNT(*)::int AS count FROM admin_audit ${where}`,
+      params
+    );
+    const result = await dbService.query(
+      `SELECT id, admin_id, admin_username, action, client_id,
+              target_admin_id, ip, changes, created_at
+         FROM admin_audit
+         ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      success: true,
+      entries: result.rows,
+      page,
+      pageSize,
+      total: total.rows[0].count,
+    });
+  } catch (error) {
+    logger.error(`Error fetching audit trail: ${error.message}`, { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+// routes/clientData.js
+// Admin export of a client's synced rows, and CSV import into them for
+// clients whose own sync tool cannot be used
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const { recordSyncLog } = require("../services/syncService");
+const { ROWS_REJECTED_ERROR, runSync } = require("../services/syncJobService");
+const {
+  getEntity,
+  columnsOf,
+  validatePayload,
+} = require("../services/entityRegistry");
+const { csvRow, unguardField, parseCsv } = require("../utils/csv");
+
+const operator = requireRole("operator");
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+// Issues listed in an import's validation report; issueCount counts them all
+const MAX_REPORTED_ISSUES = 1000;
+
+// Reject entity names the registry does not know before they reach a query
+router.param("entity", (req, res, next, value) => {
+  if (!getEntity(value)) {
+    return res
+      .status(404)
+      .json({ success: false, error: `Unknown entity: ${value}` });
+  }
+  next();
+});
+
+// Throws unless the client exists. Pass `lock` inside a transaction to hold
+// off syncs for the client until it ends.
+async function ensureClient(db, clientId, lock = false) {
+  const result = await db.query(
+    `SELECT client_id FROM sync_users WHERE client_id = $1
+     ${lock ? "FOR UPDATE" : ""}`,
+    [clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error(`No user found with client ID: ${clientId}`);
+  }
+}
+
+// Send the response for an error thrown by an export or import handler
+function sendDataError(res, error, context) {
+  if (error.message.includes("No user found")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logger.error(`Client data error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// Up to `limit` of a client's rows of an entity in key order, starting after
+// the row `after`
+async function fetchRows(clientId, entity, after, limit) {
+  const { keys } = entity;
+  const params = [clientId];
+  let where = "client_id = $1";
+  if (after) {
+    where += ` AND (${keys.join(", ")}) > (${keys
+      .map((_, i) => `$${i + 2}`)
+      .join(", ")})`;
+    params.push(...keys.map((column) => after[column]));
+  }
+  params.push(limit);
+
+  const result = await dbService.query(
+    `SELECT ${columnsOf(entity).join(", ")} FROM ${entity.table}
+      WHERE ${where}
+      ORDER BY ${keys.join(", ")}
+      LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+// Download a client's rows of one entity as CSV or a JSON array. Password
+// hashes are included, so an export can be imported back unchanged; exports
+// are recorded in the audit trail for that reason.
+router.get(
+  "/users/:clientId/data/:entity/export",
+  operator,
+  async (req, res) => {
+    const { clientId, entity: name } = req.params;
+    const entity = getEntity(name);
+    const columns = columnsOf(entity);
+
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    try {
+      await ensureClient(dbService, clientId);
+      await recordAudit(dbService, req, {
+        action: "CLIENT_DATA_EXPORT",
+        clientId,
+        after: { entity: name, format },
+      });
+    } catch (error) {
+      return sendDataError(res, error, { clientId, entity: name });
+    }
+
+    let closed = false;
+    res.on("close", () => {
+      closed = true;
+    });
+
+    // Wait for the socket to drain, or give up if the download is cancelled
+    const write = async (chunk) => {
+      if (res.write(chunk) || closed) return;
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+    };
+
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${clientId}-${name}.${format}"`
+    );
+
+    let exported = 0;
+    try {
+      await write(format === "csv" ? csvRow(columns) : "[");
+
+      let after = null;
+      while (!closed) {
+        const rows = await fetchRows(
+          clientId,
+          entity,
+          after,
+          EXPORT_BATCH_SIZE
+        );
+
+        for (const row of rows) {
+          if (format === "csv") {
+            await write(csvRow(columns.map((column) => row[column])));
+          } else {
+            await write(`${exported > 0 ? "," : ""}\n${JSON.stringify(row)}`);
+          }
+          exported++;
+        }
+
+        if (rows.length < EXPORT_BATCH_SIZE) break;
+        after = rows[rows.length - 1];
+      }
+
+      if (format === "json") await write("\n]\n");
+      res.end();
+      logger.info(
+        `Admin ${req.adminId} exported ${exported} ${name} row(s) of client ${clientId}`,
+        { format, cancelled: closed }
+      );
+    } catch (error) {
+      logger.error(`Error exporting client data: ${error.message}`, {
+        error,
+        clientId,
+        entity: name,
+        exported,
+      });
+      // Once streaming has started, the only signal left is a cut-off download
+      res.destroy(error);
+    }
+  }
+);
+
+// Work out which field each CSV column feeds. `mapping` maps CSV column
+// names to field names, or to null to ignore a column; other columns are
+// matched against the fields' aliases. Returns { columns: [{ header, field
+// }] } with a null field for ignored columns, or { error }.
+function mapColumns(entity, headers, mapping) {
+  const fields = Object.entries(entity.fields);
+
+  for (const [header, target] of Object.entries(mapping)) {
+    if (!headers.includes(header)) {
+      return { error: `CSV has no column named "${header}"` };
+    }
+    if (target !== null && !Object.hasOwn(entity.fields, target)) {
+      return {
+        error: `mapping for "${header}" must be one of: ${columnsOf(entity).join(", ")}, or null`,
+      };
+    }
+  }
+
+  const columns = [];
+  const mappedFrom = {};
+  for (const header of headers) {
+    if (columns.some((column) => column.header === header)) {
+      return { error: `CSV has more than one column named "${header}"` };
+    }
+
+    let field = null;
+    if (Object.hasOwn(mapping, header)) {
+      field = mapping[header];
+    } else {
+      const match = fields.find(([, spec]) => spec.aliases.includes(header));
+      if (match) field = match[0];
+    }
+
+    if (field !== null && mappedFrom[field] !== undefined) {
+      return {
+        error: `CSV columns "${mappedFrom[field]}" and "${header}" both map to ${field}`,
+      };
+    }
+    if (field !== null) mappedFrom[field] = header;
+    columns.push({ header, field });
+  }
+
+  return { columns };
+}
+
+// Validation report for an import, in the shape sync responses use
+function validationReport(issues) {
+  const rows = new Set(issues.map((issue) => issue.index));
+  return {
+    rejectedRows: rows.size,
+    issueCount: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+  };
+}
+
+// Import a CSV file into one of a client's entities, replacing all of its
+// rows in one transaction as a full sync would. The body is { csv, mapping,
+// preview }: the file's text, optional column mapping (see mapColumns), and
+// whether to only report what the import would do. The import is refused if
+// any row is invalid or cannot be written.
+router.post(
+  "/users/:clientId/data/:entity/import",
+  operator,
+  async (req, res) => {
+    const { clientId, entity: name } = req.params;
+    const entity = getEntity(name);
+    const { csv, mapping = {}, preview = false } = req.body;
+
+    if (typeof csv !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, error: "csv must be the file's text" });
+    }
+    if (
+      typeof mapping !== "object" ||
+      mapping === null ||
+      Array.isArray(mapping)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "mapping must map CSV column names to field names",
+      });
+    }
+    if (typeof preview !== "boolean") {
+      return res
+        .status(400)
+        .json({ success: false, error: "preview must be true or false" });
+    }
+
+    let table;
+    try {
+      table = parseCsv(csv);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (table.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: "CSV has no header row" });
+    }
+
+    const [headers, ...lines] = table;
+    const { columns, error: mappingError } = mapColumns(
+      entity,
+      headers,
+      mapping
+    );
+    if (mappingError) {
+      return res.status(400).json({ success: false, error: mappingError });
+    }
+
+    // Rows are keyed by each field's first alias, which the registry
+    // resolves like any sync payload. `index` in issues counts data rows
+    // from 0, so the CSV line is index + 2.
+    const rows = lines.map((fields) => {
+      const row = {};
+      columns.forEach(({ field }, i) => {
+        if (field !== null && fields[i] !== undefined) {
+          row[entity.fields[field].aliases[0]] = unguardField(fields[i]);
+        }
+      });
+      return row;
+    });
+    const { grouped, issues } = validatePayload(undefined, { [name]: rows });
+    const validation = issues.length > 0 ? validationReport(issues) : undefined;
+
+    const context = { clientId, entity: name, preview };
+    const importOptions = { mode: "full", grouped, strict: true };
+
+    if (preview) {
+      const summary = {
+        success: true,
+        preview: true,
+        entity: name,
+        columns,
+        rowCount: rows.length,
+        validation,
+      };
+
+      try {
+        if (validation) {
+          await ensureClient(dbService, clientId);
+          return res.json({ ...summary, status: "FAILED" });
+        }
+
+        const result = await dbService.previewTransaction(async (client) => {
+          await ensureClient(client, clientId, true);
+          return runSync(client, clientId, { ...importOptions, dryRun: true });
+        });
+        return res.json({
+          ...summary,
+          status: "SUCCESS",
+          recordCount: result.recordCount,
+          comparison: result.comparison,
+        });
+      } catch (error) {
+        if (error.message === "ROWS_REJECTED") {
+          return res.json({
+            ...summary,
+            status: "FAILED",
+            errors: error.errors,
+          });
+        }
+        return sendDataError(res, error, context);
+      }
+    }
+
+    if (validation) {
+      logger.warn("Admin import failed validation", {
+        ...context,
+        rejectedRows: validation.rejectedRows,
+      });
+      return res.status(422).json({
+        success: false,
+        error: "Import failed validation",
+        validation,
+      });
+    }
+
+    try {
+      const result = await dbService.transaction(async (client) => {
+        await ensureClient(client, clientId, true);
+        const written = await runSync(client, clientId, {
+          ...importOptions,
+          snapshotSource: "IMPORT",
+        });
+
+        await recordAudit(client, req, {
+          action: "CLIENT_DATA_IMPORT",
+          clientId,
+          after: { entity: name, rows: written.recordCount },
+        });
+        return written;
+      });
+
+      await recordSyncLog(
+        clientId,
+        result.recordCount,
+        0,
+        `${name} imported by ${req.adminUsername}`,
+        "ADMIN_IMPORT"
+      );
+
+      logger.info(
+        `Admin ${req.adminId} imported ${result.recordCount} ${name} row(s) for client ${clientId}`
+      );
+      res.json({
+        success: true,
+        message: `Imported ${result.recordCount} ${name} rows`,
+        entity: name,
+        recordCount: result.recordCount,
+      });
+    } catch (error) {
+      if (error.message === "ROWS_REJECTED") {
+        logger.warn("Admin import rolled back after row errors", {
+          ...context,
+          errors: error.errors.slice(0, 10),
+        });
+        return res.status(422).json({
+          success: false,
+          error: ROWS_REJECTED_ERROR,
+          errors: error.errors,
+        });
+      }
+      return sendDataError(res, error, context);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// routes/clientQuotas.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const {
+  BODY_LIMIT_BYTES,
+  DEFAULT_LIMITS,
+  LIMIT_COLUMNS,
+  getClientLimits,
+  clientUsage,
+} = require("../services/quotaService");
+
+// Send the response for an error thrown by a quota handler
+function sendQuotaError(res, error, context) {
+  if (error.message.includes("No user found")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logger.error(`Client quota error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// A client's sync limits, which of them are overridden, and its current usage
+router.get(
+  "/users/:clientId/quota",
+  requireRole("viewer"),
+  async (req, res) => {
+    const { clientId } = req.params;
+
+    try {
+      const quota = await clientUsage(dbService, clientId);
+      res.json({ success: true, ...quota, defaults: DEFAULT_LIMITS });
+    } catch (error) {
+      return sendQuotaError(res, error, { clientId });
+    }
+  }
+);
+
+// Set a client's sync limits. Each of requestsPerWindow, windowSeconds,
+// dailyRecords and maxPayloadBytes may be a positive integer, or null to use
+// the server default; fields left out keep their current setting.
+router.put(
+  "/users/:clientId/quota",
+  requireRole("operator"),
+  async (req, res) => {
+    const { clientId } = req.params;
+    const changes = {};
+
+    for (const field of Object.keys(LIMIT_COLUMNS)) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive integer or null`,
+        });
+      }
+      changes[field] = value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Send at least one of: ${Object.keys(LIMIT_COLUMNS).join(", ")}`,
+      });
+    }
+    if (changes.maxPayloadBytes > BODY_LIMIT_BYTES) {
+      return res.status(400).json({
+        success: false,
+        error: `maxPayloadBytes cannot exceed ${BODY_LIMIT_BYTES}`,
+      });
+    }
+
+    try {
+      await dbService.transaction(async (client) => {
+        // Lock the client row so concurrent updates audit in order
+        await client.query(
+          "SELECT client_id FROM sync_users WHERE client_id = $1 FOR UPDATE",
+          [clientId]
+        );
+        const { overrides } = await getClientLimits(client, clientId);
+
+        const fields = Object.keys(changes);
+        await client.query(
+          `UPDATE sync_users
+              SET ${fields
+                .map((field, i) => `${LIMIT_COLUMNS[field]} = $${i + 2}`)
+                .join(", ")},
+                  updated_at = NOW()
+            WHERE client_id = $1`,
+          [clientId, ...fields.map((field) => changes[field])]
+        );
+
+        await recordAudit(client, req, {
+          action: "CLIENT_QUOTA_UPDATE",
+          clientId,
+          before: Object.fromEntries(
+            fields.map((field) => [LIMIT_COLUMNS[field], overrides[field]])
+          ),
+          after: Object.fromEntries(
+            fields.map((field) => [LIMIT_COLUMNS[field], changes[field]])
+          ),
+        });
+      });
+
+      logger.info(`Updated sync quota for client ${clientId}`, changes);
+      const quota = await clientUsage(dbService, clientId);
+      res.json({ success: true, ...quota, defaults: DEFAULT_LIMITS });
+    } catch (error) {
+      return sendQuotaError(res, error, { clientId });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,311 @@
+// routes/clientTokens.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const {
+  TOKEN_COLUMNS,
+  issueToken,
+  generateToken,
+} = require("../services/tokenService");
+const { encryptSecret } = require("../utils/secrets");
+
+// How long a rotated-out token keeps working unless the request says otherwise
+const DEFAULT_GRACE_MINUTES =
+  Number(process.env.TOKEN_ROTATION_GRACE_MINUTES) || 24 * 60;
+
+// Longest grace period a rotation may ask for (7 days)
+const MAX_GRACE_MINUTES = 7 * 24 * 60;
+
+// Managing client tokens and request signing requires the operator role
+router.use("/users/:clientId/tokens", requireRole("operator"));
+router.use("/users/:clientId/signing", requireRole("operator"));
+
+// Reject non-numeric token IDs before they reach a query
+router.param("tokenId", (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res.status(400).json({ success: false, error: "Invalid token ID" });
+  }
+  next();
+});
+
+// Throws unless the client exists
+async function ensureClient(db, clientId) {
+  const result = await db.query(
+    "SELECT client_id FROM sync_users WHERE client_id = $1",
+    [clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error(`No user found with client ID: ${clientId}`);
+  }
+}
+
+// Send the response for an error thrown by a token handler
+function sendTokenError(res, error, context) {
+  if (error.message.includes("No user found")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message.includes("No token found")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (
+    error.message === "Token is no longer active" ||
+    error.message === "Client has no signing secret"
+  ) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.code === "23505") {
+    return res.status(409).json({
+      success: false,
+      error: "This client already has an active token with that name",
+    });
+  }
+  logger.error(`Client token error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// List a client's tokens. Token values are never returned here.
+router.get("/users/:clientId/tokens", async (req, res) => {
+  const { clientId } = req.params;
+
+  try {
+    await ensureClient(dbService, clientId);
+    const result = await dbService.query(
+      `SELECT ${TOKEN_COLUMNS} FROM client_tokens
+        WHERE client_id = $1
+        ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+      [clientId]
+    );
+    res.json({ success: true, tokens: result.rows });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId });
+  }
+});
+
+// Issue a new named token, e.g. one per branch machine
+router.post("/users/:clientId/tokens", async (req, res) => {
+  const { clientId } = req.params;
+  const { name } = req.body;
+
+  if (!name || typeof name !== "string" || name.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: "A token name of up to 100 characters is required",
+    });
+  }
+
+  try {
+    const issued = await dbService.transaction(async (client) => {
+      await ensureClient(client, clientId);
+      const result = await issueToken(client, clientId, name);
+
+      await recordAudit(client, req, {
+        action: "TOKEN_CREATE",
+        clientId,
+        after: { token_id: result.record.id, name },
+      });
+      return result;
+    });
+
+    logger.info(`Issued token "${name}" for client ${clientId}`);
+    res.status(201).json({
+      success: true,
+      token: issued.record,
+      accessToken: issued.token,
+    });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId });
+  }
+});
+
+// Replace a token with a new one of the same name. The old token keeps
+// working for `graceMinutes` so deployed sync tools can be updated.
+router.post("/users/:clientId/tokens/:tokenId/rotate", async (req, res) => {
+  const { clientId, tokenId } = req.params;
+  const graceMinutes =
+    req.body.graceMinutes === undefined
+      ? DEFAULT_GRACE_MINUTES
+      : Number(req.body.graceMinutes);
+
+  if (
+    !Number.isFinite(graceMinutes) ||
+    graceMinutes < 0 ||
+    graceMinutes > MAX_GRACE_MINUTES
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `graceMinutes must be a number from 0 to ${MAX_GRACE_MINUTES}`,
+    });
+  }
+
+  try {
+    const issued = await dbService.transaction(async (client) => {
+      const old = await client.query(
+        `UPDATE client_tokens
+            SET expires_at = NOW() + make_interval(secs => $3 * 60)
+          WHERE id = $1 AND client_id = $2
+            AND revoked_at IS NULL AND expires_at IS NULL
+          RETURNING id, name, expires_at`,
+        [tokenId, clientId, graceMinutes]
+      );
+
+      if (old.rowCount === 0) {
+        const exists = await client.query(
+          "SELECT id FROM client_tokens WHERE id = $1 AND client_id = $2",
+          [tokenId, clientId]
+        );
+        throw new Error(
+          exists.rowCount
+            ? "Token is no longer active"
+            : `No token found with ID: ${tokenId}`
+        );
+      }
+
+      const result = await issueToken(client, clientId, old.rows[0].name);
+
+      await recordAudit(client, req, {
+        action: "TOKEN_ROTATE",
+        clientId,
+        before: { token_id: old.rows[0].id },
+        after: {
+          token_id: result.record.id,
+          previous_expires_at: old.rows[0].expires_at,
+        },
+      });
+      return { ...result, previousExpiresAt: old.rows[0].expires_at };
+    });
+
+    logger.info(`Rotated token ${tokenId} for client ${clientId}`, {
+      graceMinutes,
+    });
+    res.json({
+      success: true,
+      token: issued.record,
+      accessToken: issued.token,
+      previousTokenExpiresAt: issued.previousExpiresAt,
+    });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId, tokenId });
+  }
+});
+
+// Revoke a single token immediately
+router.delete("/users/:clientId/tokens/:tokenId", async (req, res) => {
+  const { clientId, tokenId } = req.params;
+
+  try {
+    await dbService.transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE client_tokens SET revoked_at = NOW()
+          WHERE id = $1 AND client_id = $2 AND revoked_at IS NULL
+          RETURNING id, name`,
+        [tokenId, clientId]
+      );
+      if (result.rowCount === 0) {
+        throw new Error(`No token found with ID: ${tokenId}`);
+      }
+
+      await recordAudit(client, req, {
+        action: "TOKEN_REVOKE",
+        clientId,
+        before: { token_id: result.rows[0].id, name: result.rows[0].name },
+      });
+    });
+
+    logger.info(`Revoked token ${tokenId} for client ${clientId}`);
+    res.json({ success: true, message: `Token ${tokenId} revoked` });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId, tokenId });
+  }
+});
+
+// Generate a new request signing secret. The secret is returned only here;
+// requests signed with the previous one stop working immediately.
+router.post("/users/:clientId/signing/secret", async (req, res) => {
+  const { clientId } = req.params;
+  const secret = generateToken();
+
+  try {
+    await dbService.transaction(async (client) => {
+      const before = await client.query(
+        "SELECT signing_secret FROM sync_users WHERE client_id = $1 FOR UPDATE",
+        [clientId]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No user found with client ID: ${clientId}`);
+      }
+
+      await client.query(
+        `UPDATE sync_users SET signing_secret = $2, updated_at = NOW()
+          WHERE client_id = $1`,
+        [clientId, encryptSecret(secret)]
+      );
+
+      await recordAudit(client, req, {
+        action: "SIGNING_SECRET_ROTATE",
+        clientId,
+        before: before.rows[0],
+        after: { signing_secret: secret },
+      });
+    });
+
+    logger.info(`Generated a new signing secret for client ${clientId}`);
+    res.status(201).json({ success: true, signingSecret: secret });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId });
+  }
+});
+
+// Turn mandatory request signing on or off for a client
+router.put("/users/:clientId/signing", async (req, res) => {
+  const { clientId } = req.params;
+  const { required } = req.body;
+
+  if (typeof required !== "boolean") {
+    return res
+      .status(400)
+      .json({ success: false, error: "required must be true or false" });
+  }
+
+  try {
+    await dbService.transaction(async (client) => {
+      const before = await client.query(
+        `SELECT require_signed_requests, signing_secret IS NOT NULL AS has_secret
+           FROM sync_users WHERE client_id = $1 FOR UPDATE`,
+        [clientId]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No user found with client ID: ${clientId}`);
+      }
+      if (required && !before.rows[0].has_secret) {
+        throw new Error("Client has no signing secret");
+      }
+
+      await client.query(
+        `UPDATE sync_users SET require_signed_requests = $2, updated_at = NOW()
+          WHERE client_id = $1`,
+        [clientId, required]
+      );
+
+      await recordAudit(client, req, {
+        action: "CLIENT_SIGNING_UPDATE",
+        clientId,
+        before: {
+          require_signed_requests: before.rows[0].require_signed_requests,
+        },
+        after: { require_signed_requests: required },
+      });
+    });
+
+    logger.info(
+      `Signed requests ${required ? "required" : "optional"} for client ${clientId}`
+    );
+    res.json({ success: true, requireSignedRequests: required });
+  } catch (error) {
+    return sendTokenError(res, error, { clientId });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+// routes/dataApi.js
+// Read access to a client's synced acc_master rows, for the client's own
+// apps and its end users. Every route is scoped to the authenticated client.
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireClientOrEndUser } = require("../middleware/clientAuth");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Most rows one subtree response returns
+const MAX_SUBTREE_ROWS = 5000;
+
+// acc_master columns returned, with the number of direct children of each
+// account. `m` is the acc_master row.
+const ACCOUNT_COLUMNS = `m.code, m.name, m.address, m.place, m.super_code,
+  (SELECT COUNT(*)::int FROM acc_master c
+    WHERE c.client_id = m.client_id AND c.super_code = m.code
+      AND c.code <> m.code) AS child_count`;
+
+router.use("/data", requireClientOrEndUser);
+
+// Whether the request's If-None-Match or If-Modified-Since still matches.
+// req.fresh is not used because it ignores both when the request also has
+// Cache-Control: no-cache, which fetch() adds whenever the caller sets
+// If-None-Match itself.
+function notModified(req, etag, updatedAt) {
+  const ifNoneMatch = req.get("If-None-Match");
+  if (ifNoneMatch) {
+    // Weak comparison: W/ prefixes are ignored
+    const opaque = (tag) => tag.trim().replace(/^W\//, "");
+    return ifNoneMatch
+      .split(",")
+      .some((tag) => tag.trim() === "*" || opaque(tag) === opaque(etag));
+  }
+
+  // HTTP dates have whole seconds
+  const since = Date.parse(req.get("If-Modified-Since"));
+  return (
+    !Number.isNaN(since) &&
+    Math.floor(updatedAt.getTime() / 1000) * 1000 <= since
+  );
+}
+
+// Answer 304 Not Modified when the client's data has not changed since the
+// app last fetched it. The validators change on every sync that writes data.
+router.use("/data", async (req, res, next) => {
+  try {
+    const result = await dbService.query(
+      `SELECT COALESCE(data_updated_at, created_at) AS updated_at
+         FROM sync_users WHERE client_id = $1`,
+      [req.clientId]
+    );
+    const updatedAt = result.rows[0].updated_at;
+    const etag = `W/"${updatedAt.getTime().toString(36)}"`;
+
+    res.set("Cache-Control", "private, no-cache");
+    res.set("Last-Modified", updatedAt.toUTCString());
+    res.set("ETag", etag);
+    if (notModified(req, etag, updatedAt)) return res.status(304).end();
+    next();
+  } catch (error) {
+    logger.error(`Error reading data version: ${error.message}`, {
+      error,
+      clientId: req.clientId,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+function pagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, pageSize };
+}
+
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+// One account of the client, or null
+async function findAccount(clientId, code) {
+  const result = await dbService.query(
+    `SELECT ${ACCOUNT_COLUMNS} FROM acc_master m
+      WHERE m.client_id = $1 AND m.code = $2`,
+    [clientId, code]
+  );
+  return result.rows[0] || null;
+}
+
+function sendDataError(res, error, context) {
+  if (error.message.startsWith("No account")) {
+    return res.status(404).json({ error: error.message });
+  }
+  logger.error(`Data API error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ error: "Server error" });
+}
+
+// List accounts ordered by code. Filters: q (code, name or place contains),
+// code, name, place (each contains), superCode (exact) and roots=true for
+// accounts without a parent. Paginated with page and pageSize.
+router.get("/data/accounts", async (req, res) => {
+  const { clientId } = req;
+  const { q, code, name, place, superCode, roots } = req.query;
+  const { page, pageSize } = pagination(req.query);
+
+  for (const [field, value] of Object.entries({
+    q,
+    code,
+    name,
+    place,
+    superCode,
+  })) {
+    if (value !== undefined && typeof value !== "string") {
+      return res.status(400).json({ error: `${field} must be a string` });
+    }
+  }
+  if (roots !== undefined && roots !== "true") {
+    return res.status(400).json({ error: "roots must be true" });
+  }
+
+  const conditions = ["m.client_id = $1"];
+  const params = [clientId];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replaceAll("?", `$${params.length}`));
+  };
+
+  if (q) {
+    addCondition(
+      "(m.code ILIKE ? OR m.name ILIKE ? OR m.place ILIKE ?)",
+      likePattern(q)
+    );
+  }
+  if (code) addCondition("m.code ILIKE ?", likePattern(code));
+  if (name) addCondition("m.name ILIKE ?", likePattern(name));
+  if (place) addCondition("m.place ILIKE ?", likePattern(place));
+  if (superCode !== undefined) addCondition("m.super_code = ?", superCode);
+  if (roots) {
+    // No parent, a parent that was never synced, or itself as parent
+    conditions.push(`(m.super_code IS NULL OR m.super_code = ''
+      OR m.super_code = m.code
+      OR NOT EXISTS (SELECT 1 FROM acc_master p
+                      WHERE p.client_id = m.client_id
+                        AND p.code = m.super_code))`);
+  }
+
+  const where = conditions.join(" AND ");
+
+  try {
+    const total = await dbService.query(
+      `SELECT COUNT(*)::int AS count FROM acc_master m WHERE ${where}`,
+      params
+    );
+    const result = await dbService.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM acc_master m
+        WHERE ${where}
+        ORDER BY m.code
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      success: true,
+      accounts: result.rows,
+      page,
+      pageSize,
+      total: total.rows[0].count,
+    });
+  } catch (error) {
+    return sendDataError(res, error, { clientId });
+  }
+});
+
+// One account by code
+router.get("/data/accounts/:code", async (req, res) => {
+  const { clientId } = req;
+  const { code } = req.params;
+
+  try {
+    const account = await findAccount(clientId, code);
+    if (!account) throw new Error(`No account found with code: ${code}`);
+    res.json({ success: true, account });
+  } catch (error) {
+    return sendDataError(res, error, { clientId, code });
+  }
+});
+
+// Direct children of an account, ordered by code. Paginated with page and
+// pageSize.
+router.get("/data/accounts/:code/children", async (req, res) => {
+  const { clientId } = req;
+  const { code } = req.params;
+  const { page, pageSize } = pagination(req.query);
+
+  try {
+    if (!(await findAccount(clientId, code))) {
+      throw new Error(`No account found with code: ${code}`);
+    }
+
+    const where = "m.client_id = $1 AND m.super_code = $2 AND m.code <> $2";
+    const total = await dbService.query(
+      `SELECT COUNT(*)::int AS count FROM acc_master m WHERE ${where}`,
+      [clientId, code]
+    );
+    const result = await dbService.query(
+      `SELECT ${ACCOUNT_COLUMNS} FROM acc_master m
+        WHERE ${where}
+        ORDER BY m.code
+        LIMIT $3 OFFSET $4`,
+      [clientId, code, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      success: true,
+      children: result.rows,
+      page,
+      pageSize,
+      total: total.rows[0].count,
+    });
+  } catch (error) {
+    return sendDataError(res, error, { clientId, code });
+  }
+});
+
+// The chain of parents of an account, starting from the top of the tree.
+// A loop in the super_code links ends the chain where it repeats.
+router.get("/data/accounts/:code/ancestors", async (req, res) => {
+  const { clientId } = req;
+  const { code } = req.params;
+
+  try {
+    if (!(await findAccount(clientId, code))) {
+      throw new Error(`No account found with code: ${code}`);
+    }
+
+    const result = await dbService.query(
+      `WITH RECURSIVE chain (code, super_code, depth, path) AS (
+         SELECT code, super_code, 0, ARRAY[code::text]
+           FROM acc_master WHERE client_id = $1 AND code = $2
+         UNION ALL
+         SELECT p.code, p.super_code, chain.depth + 1, chain.path || p.code::text
+           FROM chain
+           JOIN acc_master p ON p.client_id = $1 AND p.code = chain.super_code
+          WHERE NOT (p.code::text = ANY(chain.path))
+       )
+       SELECT ${ACCOUNT_COLUMNS}, chain.depth
+         FROM chain
+         JOIN acc_master m ON m.client_id = $1 AND m.code = chain.code
+        WHERE chain.depth > 0
+        ORDER BY chain.depth DESC`,
+      [clientId, code]
+    );
+
+    res.json({
+      success: true,
+      ancestors: result.rows.map(({ depth, ...account }) => account),
+    });
+  } catch (error) {
+    return sendDataError(res, error, { clientId, code });
+  }
+});
+
+// An account and everything below it, depth first, each row with its depth
+// below the account. maxDepth limits how far down to go. At most
+// MAX_SUBTREE_ROWS rows are returned; `truncated` tells when there were more.
+router.get("/data/accounts/:code/subtree", async (req, res) => {
+  const { clientId } = req;
+  const { code } = req.params;
+  const { maxDepth } = req.query;
+
+  if (maxDepth !== undefined && !/^\d+$/.test(maxDepth)) {
+    return res
+      .status(400)
+      .json({ error: "maxDepth must be a non-negative integer" });
+  }
+
+  try {
+    if (!(await findAccount(clientId, code))) {
+      throw new Error(`No account found with code: ${code}`);
+    }
+
+    const result = await dbService.query(
+      `WITH RECURSIVE tree (code, depth, path) AS (
+         SELECT code, 0, ARRAY[code::text]
+           FROM acc_master WHERE client_id = $1 AND code = $2
+         UNION ALL
+         SELECT c.code, tree.depth + 1, tree.path || c.code::text
+           FROM tree
+           JOIN acc_master c ON c.client_id = $1 AND c.super_code = tree.code
+          WHERE NOT (c.code::text = ANY(tree.path))
+            AND ($3::int IS NULL OR tree.depth < $3::int)
+       )
+       SELECT ${ACCOUNT_COLUMNS}, tree.depth
+         FROM tree
+         JOIN acc_master m ON m.client_id = $1 AND m.code = tree.code
+        ORDER BY tree.path
+        LIMIT $4`,
+      [
+        clientId,
+        code,
+        maxDepth === undefined ? null : Number(maxDepth),
+        MAX_SUBTREE_ROWS + 1,
+      ]
+    );
+
+    res.json({
+      success: true,
+      accounts: result.rows.slice(0, MAX_SUBTREE_ROWS),
+      truncated: result.rows.length > MAX_SUBTREE_ROWS,
+    });
+  } catch (error) {
+    return sendDataError(res, error, { clientId, code });
+  }
+});
+
+module.exports = router;
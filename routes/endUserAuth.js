@@ -0,0 +1,51 @@
+// routes/endUserAuth.js
+// Login for a client's end users, whose IDs and passwords arrive in
+// acc_users through the sync API
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const { loginEndUser } = require("../services/endUserService");
+
+// Exchange a client ID, user ID and password for a bearer token that reads
+// that client's data
+router.post("/auth/login", async (req, res) => {
+  const { clientId, userId, password } = req.body || {};
+
+  // IDs may be sent as numbers; both columns hold up to 50 characters
+  const isId = (value) =>
+    ((typeof value === "string" && value !== "") || Number.isInteger(value)) &&
+    String(value).length <= 50;
+  if (!isId(clientId) || !isId(userId) || typeof password !== "string") {
+    return res
+      .status(400)
+      .json({ error: "clientId, userId and password are required" });
+  }
+
+  try {
+    const { token, expiresIn } = await loginEndUser(
+      String(clientId),
+      String(userId),
+      password
+    );
+    logger.info("End user logged in", { clientId, userId });
+    return res.json({ success: true, token, tokenType: "Bearer", expiresIn });
+  } catch (error) {
+    if (error.message === "Invalid credentials") {
+      logger.warn("End-user login failed", { clientId, userId });
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.message === "Too many failed logins") {
+      res.set("Retry-After", String(error.retryAfter));
+      return res.status(429).json({
+        error: "Too many failed logins, try again later",
+      });
+    }
+    logger.error(`Error logging in end user: ${error.message}`, {
+      error,
+      clientId,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// routes/snapshots.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const {
+  SNAPSHOT_RETENTION,
+  redactRow,
+  ensureSnapshot,
+  restoreSnapshot,
+  diffSnapshots,
+} = require("../services/snapshotService");
+
+const viewer = requireRole("viewer");
+const operator = requireRole("operator");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Rows listed per entity and kind of change in a diff
+const DEFAULT_DIFF_LIMIT = 100;
+const MAX_DIFF_LIMIT = 1000;
+
+// Reject non-numeric snapshot IDs before they reach a query
+router.param("snapshotId", (req, res, next, value) => {
+  if (!/^\d+$/.test(value)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid snapshot ID" });
+  }
+  next();
+});
+
+// Throws unless the client exists. Pass `lock` inside a transaction to hold
+// off syncs for the client until it ends.
+async function ensureClient(db, clientId, lock = false) {
+  const result = await db.query(
+    `SELECT client_id FROM sync_users WHERE client_id = $1
+     ${lock ? "FOR UPDATE" : ""}`,
+    [clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error(`No user found with client ID: ${clientId}`);
+  }
+}
+
+// Send the response for an error thrown by a snapshot handler
+function sendSnapshotError(res, error, context) {
+  if (
+    error.message.includes("No user found") ||
+    error.message.startsWith("No snapshot")
+  ) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logger.error(`Snapshot error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// List a client's snapshots, newest first
+router.get("/users/:clientId/snapshots", viewer, async (req, res) => {
+  const { clientId } = req.params;
+
+  try {
+    await ensureClient(dbService, clientId);
+    const result = await dbService.query(
+      `SELECT id, source, row_counts, restored_from, created_at
+         FROM data_snapshots
+        WHERE client_id = $1
+        ORDER BY id DESC`,
+      [clientId]
+    );
+    res.json({
+      success: true,
+      snapshots: result.rows,
+      retention: SNAPSHOT_RETENTION,
+    });
+  } catch (error) {
+    return sendSnapshotError(res, error, { clientId });
+  }
+});
+
+// Rows added, removed and changed between snapshots `from` and `to`, per
+// entity. `limit` caps the rows listed for each entity and kind of change.
+router.get("/users/:clientId/snapshots/diff", viewer, async (req, res) => {
+  const { clientId } = req.params;
+  const { from, to } = req.query;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_DIFF_LIMIT, 1),
+    MAX_DIFF_LIMIT
+  );
+
+  if (!/^\d+$/.test(from) || !/^\d+$/.test(to)) {
+    return res.status(400).json({
+      success: false,
+      error: "from and to must be snapshot IDs",
+    });
+  }
+
+  try {
+    await ensureClient(dbService, clientId);
+    await ensureSnapshot(dbService, clientId, from);
+    await ensureSnapshot(dbService, clientId, to);
+
+    const entities = await diffSnapshots(dbService, from, to, limit);
+    res.json({
+      success: true,
+      from: Number(from),
+      to: Number(to),
+      entities,
+    });
+  } catch (error) {
+    return sendSnapshotError(res, error, { clientId, from, to });
+  }
+});
+
+// Browse a snapshot's rows ordered by entity and key. Filters: entity, key
+// (starts with). Paginated with page and pageSize.
+router.get(
+  "/users/:clientId/snapshots/:snapshotId/rows",
+  viewer,
+  async (req, res) => {
+    const { clientId, snapshotId } = req.params;
+    const { entity, key } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const conditions = ["snapshot_id = $1"];
+    const params = [snapshotId];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace("?", `$${params.length}`));
+    };
+
+    if (typeof entity === "string") addCondition("entity = ?", entity);
+    if (typeof key === "string" && key) {
+      addCondition(
+        "key LIKE ?",
+        `${key.replace(/[\\%_]/g, (char) => `\\${char}`)}%`
+      );
+    }
+
+    const where = conditions.join(" AND ");
+
+    try {
+      await ensureClient(dbService, clientId);
+      await ensureSnapshot(dbService, clientId, snapshotId);
+
+      const total = await dbService.query(
+        `SELECT COUNT(*)::int AS count FROM data_snapshot_rows WHERE ${where}`,
+        params
+      );
+      const result = await dbService.query(
+        `SELECT entity, key, data FROM data_snapshot_rows
+          WHERE ${where}
+          ORDER BY entity, key
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      res.json({
+        success: true,
+        rows: result.rows.map((row) => ({ ...row, data: redactRow(row.data) })),
+        page,
+        pageSize,
+        total: total.rows[0].count,
+      });
+    } catch (error) {
+      return sendSnapshotError(res, error, { clientId, snapshotId });
+    }
+  }
+);
+
+// Replace the client's acc_master and acc_users data with a snapshot, in one
+// transaction. The result is kept as a new RESTORE snapshot.
+router.post(
+  "/users/:clientId/snapshots/:snapshotId/restore",
+  operator,
+  async (req, res) => {
+    const { clientId, snapshotId } = req.params;
+
+    try {
+      const restored = await dbService.transaction(async (client) => {
+        await ensureClient(client, clientId, true);
+        const result = await restoreSnapshot(client, clientId, snapshotId);
+
+        await recordAudit(client, req, {
+          action: "SNAPSHOT_RESTORE",
+          clientId,
+          after: {
+            restored_snapshot: Number(snapshotId),
+            row_counts: result.rowCounts,
+          },
+        });
+        return result;
+      });
+
+      logger.info(
+        `Admin ${req.adminId} restored snapshot ${snapshotId} for client ${clientId}`,
+        restored
+      );
+      res.json({
+        success: true,
+        message: `Snapshot ${snapshotId} restored`,
+        snapshotId: restored.snapshotId,
+        rowCounts: restored.rowCounts,
+      });
+    } catch (error) {
+      return sendSnapshotError(res, error, { clientId, snapshotId });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,187 @@
+// routes/stats.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+
+// Window used when `from` is not given
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_HOURLY_WINDOW_HOURS = 48;
+
+const INTERVALS = { day: 24 * 60 * 60 * 1000, hour: 60 * 60 * 1000 };
+const MAX_BUCKETS = 2000;
+
+// Aggregates over a set of sync_logs rows aliased `s`. Counts and sums are
+// cast so pg returns JS numbers instead of strings.
+const AGGREGATES = `
+  COUNT(s.id)::int AS total_syncs,
+  COUNT(s.id) FILTER (WHERE s.status = 'SUCCESS')::int AS success_count,
+  COUNT(s.id) FILTER (WHERE s.status = 'PARTIAL')::int AS partial_count,
+  COUNT(s.id) FILTER (WHERE s.status = 'FAILED')::int AS failed_count,
+  ROUND(COUNT(s.id) FILTER (WHERE s.status = 'SUCCESS')::numeric
+        / NULLIF(COUNT(s.id), 0), 4)::float8 AS success_rate,
+  ROUND(COUNT(s.id) FILTER (WHERE s.status = 'PARTIAL')::numeric
+        / NULLIF(COUNT(s.id), 0), 4)::float8 AS partial_rate,
+  COALESCE(SUM(s.records_synced), 0)::float8 AS total_records,
+  ROUND(AVG(s.records_synced), 2)::float8 AS avg_records`;
+
+router.use("/stats", requireRole("viewer"));
+
+// Validate `from` and `to`. Returns an error message or null.
+function windowError(from, to) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return `${name} must be a valid date`;
+    }
+  }
+  if (
+    from !== undefined &&
+    to !== undefined &&
+    Date.parse(from) >= Date.parse(to)
+  ) {
+    return "from must be before to";
+  }
+  return null;
+}
+
+// Per-client aggregates over the window, plus each client's last sync and
+// last successful sync of all time. Pass `clientId` for a single client.
+async function clientStats(from, to, clientId) {
+  const params = [
+    from || null,
+    to || null,
+    `${DEFAULT_WINDOW_DAYS} days`,
+    clientId || null,
+  ];
+
+  const result = await dbService.query(
+    `SELECT u.client_id, u.client_name, u.db_name, ${AGGREGATES},
+            (SELECT MAX(sync_date) FROM sync_logs
+              WHERE client_id = u.client_id) AS last_sync_at,
+            (SELECT MAX(sync_date) FROM sync_logs
+              WHERE client_id = u.client_id AND status = 'SUCCESS')
+              AS last_success_at
+       FROM sync_users u
+       LEFT JOIN sync_logs s
+         ON s.client_id = u.client_id
+        AND s.sync_date >= COALESCE($1::timestamp, LOCALTIMESTAMP - $3::interval)
+        AND s.sync_date < COALESCE($2::timestamp, 'infinity')
+      WHERE $4::text IS NULL OR u.client_id = $4
+      GROUP BY u.client_id, u.client_name, u.db_name
+      ORDER BY u.client_id`,
+    params
+  );
+  return result.rows;
+}
+
+// Per-client totals, success and partial rates, average records per sync and
+// last successful sync. Window: from (default 30 days ago) to to (default
+// now).
+router.get("/stats/clients", async (req, res) => {
+  const { from, to } = req.query;
+  const error = windowError(from, to);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    res.json({ success: true, clients: await clientStats(from, to) });
+  } catch (error) {
+    logger.error(`Error fetching client stats: ${error.message}`, { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The same aggregates for one client
+router.get("/stats/clients/:clientId", async (req, res) => {
+  const { clientId } = req.params;
+  const { from, to } = req.query;
+  const error = windowError(from, to);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const [stats] = await clientStats(from, to, clientId);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: `No user found with client ID: ${clientId}`,
+      });
+    }
+    res.json({ success: true, stats });
+  } catch (error) {
+    logger.error(`Error fetching client stats: ${error.message}`, {
+      error,
+      clientId,
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fleet-wide sync counts and records per day or hour. Every bucket in the
+// window is returned, including empty ones. Optionally limited to clientId.
+router.get("/stats/timeseries", async (req, res) => {
+  const { from, to, clientId, interval = "day" } = req.query;
+
+  if (!INTERVALS[interval]) {
+    return res
+      .status(400)
+      .json({ success: false, error: "interval must be day or hour" });
+  }
+  const error = windowError(from, to);
+  if (error) return res.status(400).json({ success: false, error });
+
+  const [defaultWindow, defaultWindowMs] =
+    interval === "hour"
+      ? [
+          `${DEFAULT_HOURLY_WINDOW_HOURS} hours`,
+          DEFAULT_HOURLY_WINDOW_HOURS * INTERVALS.hour,
+        ]
+      : [`${DEFAULT_WINDOW_DAYS} days`, DEFAULT_WINDOW_DAYS * INTERVALS.day];
+
+  // Keep the response bounded. Without `from` the window starts
+  // defaultWindow before now, however far off `to` is.
+  const start =
+    from !== undefined ? Date.parse(from) : Date.now() - defaultWindowMs;
+  const end = to !== undefined ? Date.parse(to) : Date.now();
+  if ((end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+    return res.status(400).json({
+      success: false,
+      error: `The window spans more than ${MAX_BUCKETS} ${interval}s`,
+    });
+  }
+
+  try {
+    const result = await dbService.query(
+      `WITH bounds AS (
+         SELECT date_trunc($1, COALESCE($2::timestamp, LOCALTIMESTAMP - $4::interval))
+                  AS start_at,
+                COALESCE($3::timestamp, LOCALTIMESTAMP) AS end_at
+       ),
+       buckets AS (
+         SELECT generate_series(start_at, end_at, ('1 ' || $1)::interval)
+                  AS bucket
+           FROM bounds
+       )
+       SELECT b.bucket, ${AGGREGATES}
+         FROM buckets b
+         CROSS JOIN bounds
+         LEFT JOIN sync_logs s
+           ON date_trunc($1, s.sync_date) = b.bucket
+          AND s.sync_date >= bounds.start_at
+          AND s.sync_date < bounds.end_at
+          AND ($5::text IS NULL OR s.client_id = $5)
+        WHERE b.bucket < bounds.end_at
+        GROUP BY b.bucket
+        ORDER BY b.bucket`,
+      [interval, from || null, to || null, defaultWindow, clientId || null]
+    );
+
+    res.json({ success: true, interval, series: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching sync time series: ${error.message}`, {
+      error,
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,147 +1,315 @@
 // routes/syncApi.js --ADMIN SIDE
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const logger = require("../utils/logger");
 const dbService = require("../services/dbService");
+const {
+  clearClientData,
+  storedHashes,
+  hashPayloadSecrets,
+  insertRows,
+  recordSyncLog,
+  recordFailedSync,
+} = require("../services/syncService");
+const { takeSnapshot } = require("../services/snapshotService");
+const {
+  ROWS_REJECTED_ERROR,
+  rowsRejected,
+  runSync,
+  syncOutcome,
+  enqueueSyncJob,
+  loadSyncJob,
+} = require("../services/syncJobService");
+const { requireClient } = require("../middleware/clientAuth");
+const { enforceClientQuota } = require("../middleware/clientQuota");
+const {
+  payloadError,
+  deletedError,
+  checkDeleted,
+  validatePayload,
+} = require("../services/entityRegistry");
+
+const SYNC_MODES = ["full", "delta"];
+
+// Sessions expire after this many minutes without a new chunk
+const SESSION_TTL_MINUTES = Number(process.env.SYNC_SESSION_TTL_MINUTES) || 60;
+
+// Session error codes thrown inside handlers, mapped to responses
+const SESSION_ERRORS = {
+  SESSION_NOT_FOUND: [404, "Sync session not found"],
+  SESSION_EXPIRED: [410, "Sync session has expired"],
+  SESSION_CLOSED: [409, "Sync session is no longer open"],
+  TOTAL_CHUNKS_REQUIRED: [400, "totalChunks is required to commit"],
+  CHUNK_OUT_OF_RANGE: [
+    400,
+    "Chunk index must be below the session's totalChunks",
+  ],
+  CHUNKS_MISSING: [409, "Sync session is missing chunks"],
+  CHUNKS_UNEXPECTED: [409, "Sync session has chunks beyond totalChunks"],
+  ROWS_REJECTED: [422, ROWS_REJECTED_ERROR],
+};
+
+// Chunks a session may have at most
+const MAX_SESSION_CHUNKS = 100000;
+
+// totalChunks must be a whole number of chunks a session may have
+function isChunkCount(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_SESSION_CHUNKS;
+}
+
+// Issues listed in a validation report; issueCount counts them all
+const MAX_REPORTED_ISSUES = 1000;
+
+// The client's validation mode: "strict" rejects a sync with any invalid
+// row, "lenient" skips invalid rows
+async function validationModeOf(db, clientId) {
+  const result = await db.query(
+    "SELECT validation_mode FROM sync_users WHERE client_id = $1",
+    [clientId]
+  );
+  return result.rows[0].validation_mode;
+}
+
+// Report of the issues validatePayload found, for responses
+function validationReport(mode, issues) {
+  const rows = new Set(issues.map((issue) => `${issue.entity}:${issue.index}`));
+  return {
+    mode,
+    rejectedRows: rows.size,
+    issueCount: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+  };
+}
+
+// Response to a delta whose deleted keys do not fit their entities
+const DELETED_KEYS_ERROR = "deleted lists invalid keys";
+
+// Report of the issues checkDeleted found, for responses
+function deletedKeysReport(issues) {
+  return {
+    issueCount: issues.length,
+    issues: issues.slice(0, MAX_REPORTED_ISSUES),
+  };
+}
+
+// Every sync route authenticates the client first and reads req.clientId,
+// then applies that client's quotas. Status polls are not counted, so a
+// client waiting on a job or session cannot use up its budget for the next
+// sync.
+router.use("/sync", requireClient, (req, res, next) =>
+  req.method === "POST" && req.path.endsWith("/status")
+    ? next()
+    : enforceClientQuota(req, res, next)
+);
 
 // Data sync route
 router.post("/sync/data", async (req, res) => {
-  const { clientId, accessToken, data } = req.body;
+  const { clientId } = req;
+  const {
+    data,
+    entities,
+    mode = "full",
+    dryRun = false,
+    async: runAsync = false,
+  } = req.body;
 
   // Add more comprehensive logging
   logger.info("Received sync request", {
     clientId,
+    mode,
+    dryRun,
+    async: runAsync,
     dataLength: Array.isArray(data) ? data.length : 0,
+    entities:
+      entities && typeof entities === "object"
+        ? Object.keys(entities)
+        : undefined,
   });
 
-  if (!clientId || !accessToken || !Array.isArray(data)) {
-    logger.warn("Sync attempt with missing or invalid fields", {
-      clientId: !!clientId,
-      accessToken: !!accessToken,
-      dataIsArray: Array.isArray(data),
+  const invalidPayload = payloadError(data, entities);
+  if (invalidPayload) {
+    logger.warn("Sync attempt with invalid fields", {
+      clientId,
+      payload: invalidPayload,
     });
-    return res.status(400).json({ error: "Missing required fields" });
+    return res.status(400).json({ error: invalidPayload });
+  }
+
+  if (!SYNC_MODES.includes(mode)) {
+    logger.warn("Sync attempt with unknown mode", { clientId, mode });
+    return res
+      .status(400)
+      .json({ error: `Mode must be one of: ${SYNC_MODES.join(", ")}` });
+  }
+
+  if (typeof dryRun !== "boolean" || typeof runAsync !== "boolean") {
+    return res
+      .status(400)
+      .json({ error: "dryRun and async must be true or false" });
+  }
+  if (dryRun && runAsync) {
+    return res
+      .status(400)
+      .json({ error: "A dry run cannot be queued as a job" });
+  }
+
+  const invalidDeleted = deletedError(req.body.deleted);
+  if (invalidDeleted) {
+    logger.warn("Sync attempt with invalid deleted keys", { clientId });
+    return res.status(400).json({ error: invalidDeleted });
   }
 
+  const { deleted, issues: deletedIssues } = checkDeleted(req.body.deleted);
+  if (deletedIssues.length > 0) {
+    logger.warn("Sync attempt with invalid deleted keys", {
+      clientId,
+      issues: deletedIssues.slice(0, 10),
+    });
+    return res.status(400).json({
+      error: DELETED_KEYS_ERROR,
+      validation: deletedKeysReport(deletedIssues),
+    });
+  }
+
+  const { grouped, issues } = validatePayload(data, entities);
+
   try {
-    // Use transaction for integrity
-    const { recordCount, errors } = await dbService.transaction(
-      async (client) => {
-        // 1) Verify credentials
-        const clientCheck = await client.query(
-          "SELECT client_id FROM sync_users WHERE client_id=$1 AND access_token=$2",
-          [clientId, accessToken]
-        );
-        logger.info(
-          `Auth check: found ${clientCheck.rowCount} entries for client ${clientId}`
-        );
+    const validationMode = await validationModeOf(dbService, clientId);
+    const validation =
+      issues.length > 0 ? validationReport(validationMode, issues) : undefined;
 
-        if (clientCheck.rowCount === 0) {
-          logger.warn("Invalid credentials during sync", { clientId });
-          throw new Error("UNAUTHORIZED");
+    if (validation) {
+      logger.warn("Sync payload failed validation", {
+        clientId,
+        validationMode,
+        rejectedRows: validation.rejectedRows,
+        issues: issues.slice(0, 10),
+      });
+      if (validationMode === "strict") {
+        if (dryRun) {
+          return res.json({
+            success: true,
+            dryRun,
+            status: "FAILED",
+            message: "Dry run: the sync would be rejected by validation",
+            validation,
+          });
         }
+        await recordFailedSync(clientId, issues.length, "validation");
+        return res
+          .status(422)
+          .json({ error: "Sync payload failed validation", validation });
+      }
+    }
 
-        // 2) Clear out old data
-        await client.query("DELETE FROM acc_master WHERE client_id=$1", [
-          clientId,
-        ]);
-        await client.query("DELETE FROM acc_users WHERE client_id=$1", [
-          clientId,
-        ]);
-        logger.info("Cleared old data for client", { clientId });
-
-        // 3) Insert new rows individually
-        let count = 0;
-        const errs = [];
-
-        for (const row of data) {
-          try {
-            const userId = row.ID || row.id;
-            const userPass = row.PASS || row.pass;
-
-            if (userId && userPass) {
-              // Using the composite primary key (id, client_id)
-              await client.query(
-                `INSERT INTO acc_users (id, pass, client_id) VALUES ($1, $2, $3)`,
-                [userId, userPass, clientId]
-              );
-              count++;
-              logger.info("Inserted acc_users row", { clientId, userId });
-            } else {
-              const code = row.CODE || row.code || null;
-              const name = row.NAME || row.name || null;
-              const address = row.ADDRESS || row.address || null;
-              const place =
-                row.PLACE || row.place || row.BRANCH || row.branch || null;
-              const superCode =
-                row.SUPERCODE || row.super_code || row.SUPER_CODE || null;
-
-              if (!code) {
-                logger.warn("Skipping master record with no code", {
-                  clientId,
-                  rowData: JSON.stringify(row),
-                });
-                continue;
-              }
-
-              // Using the composite primary key (code, client_id)
-              await client.query(
-                `INSERT INTO acc_master (code, name, address, place, super_code, client_id)
-                VALUES($1,$2,$3,$4,$5,$6)`,
-                [code, name, address, place, superCode, clientId]
-              );
-              count++;
-              logger.info("Inserted acc_master row", { clientId, code });
-            }
-          } catch (rowError) {
-            logger.error("Row insertion failed", {
-              clientId,
-              row,
-              error: rowError.stack,
-            });
-            errs.push({ row, error: rowError.message });
-          }
-        }
+    // Queue the payload and answer at once; poll the job for the outcome
+    if (runAsync) {
+      const jobId = await enqueueSyncJob(clientId, {
+        mode,
+        grouped,
+        deleted,
+        validation,
+      });
+      return res.status(202).json({
+        success: true,
+        jobId,
+        status: "QUEUED",
+        validation,
+      });
+    }
 
-        // Return transaction results
-        return { recordCount: count, errors: errs };
-      }
+    // Use transaction for integrity. A dry run is always rolled back.
+    const run = dryRun ? dbService.previewTransaction : dbService.transaction;
+    const result = await run((client) =>
+      runSync(client, clientId, {
+        mode,
+        grouped,
+        deleted,
+        strict: validationMode === "strict",
+        dryRun,
+      })
     );
 
-    // 4) Log the operation
-    const status = errors.length > 0 ? "PARTIAL" : "SUCCESS";
-    const message =
-      errors.length > 0
-        ? `Sync completed with ${errors.length} error(s)`
-        : "Sync completed successfully";
-
-    try {
-      await dbService.query(
-        `INSERT INTO sync_logs (client_id, records_synced, status, message)
-         VALUES($1,$2,$3,$4)`,
-        [clientId, recordCount, status, message]
-      );
-      logger.info("Logged sync operation", { clientId, recordCount, status });
-    } catch (logError) {
-      logger.error("Failed to log sync operation", {
-        clientId,
-        error: logError.stack,
+    const { errors } = result;
+    const { recordCount, note } = syncOutcome(mode, result);
+
+    // A dry run writes no sync log
+    if (dryRun) {
+      logger.info("Previewed sync", { clientId, mode, recordCount });
+      return res.status(200).json({
+        success: true,
+        dryRun,
+        status: issues.length + errors.length > 0 ? "PARTIAL" : "SUCCESS",
+        message: `Dry run: ${recordCount} records would be synced`,
+        mode,
+        inserted: result.inserted,
+        updated: result.updated,
+        deleted: result.deleted,
+        unchanged: result.unchanged,
+        recordCount,
+        counts: result.counts,
+        errors: errors.length > 0 ? errors : undefined,
+        validation,
+        comparison: result.comparison,
+      });
+    }
+
+    // Log the operation. Rows skipped by validation count as errors.
+    await recordSyncLog(
+      clientId,
+      recordCount,
+      issues.length + errors.length,
+      note
+    );
+
+    // Send response
+    if (mode === "delta") {
+      return res.status(200).json({
+        success: true,
+        message: `Successfully applied delta of ${recordCount} changes`,
+        mode,
+        inserted: result.inserted,
+        updated: result.updated,
+        deleted: result.deleted,
+        unchanged: result.unchanged,
+        recordCount,
+        errors: errors.length > 0 ? errors : undefined,
+        validation,
       });
     }
 
-    // 5) Send response
     return res.status(200).json({
       success: true,
       message: `Successfully synced ${recordCount} records`,
       recordCount,
+      counts: result.counts,
       errors: errors.length > 0 ? errors : undefined,
+      validation,
     });
   } catch (error) {
-    if (error.message === "UNAUTHORIZED") {
-      return res
-        .status(401)
-        .json({ error: "Invalid client ID or access token" });
+    if (error.message === "ROWS_REJECTED") {
+      logger.warn("Strict sync rolled back after row errors", {
+        clientId,
+        dryRun,
+        errors: error.errors.slice(0, 10),
+      });
+      if (dryRun) {
+        return res.json({
+          success: true,
+          dryRun,
+          status: "FAILED",
+          message: "Dry run: the sync would be rolled back after row errors",
+          errors: error.errors,
+        });
+      }
+      await recordFailedSync(clientId, error.errors.length, "row errors");
+      return res.status(422).json({
+        error: ROWS_REJECTED_ERROR,
+        errors: error.errors,
+      });
     }
+
     logger.error("Error syncing data:", {
       clientId,
       errorMessage: error.message,
@@ -153,34 +321,402 @@ router.post("/sync/data", async (req, res) => {
   }
 });
 
-// Log sync operation
-router.post("/sync/log", async (req, res) => {
-  const { clientId, accessToken, status, recordCount, message } = req.body;
+// Report a sync job's progress and, once it has finished, its outcome
+router.post("/sync/jobs/:jobId/status", async (req, res) => {
+  const { jobId } = req.params;
+  const { clientId } = req;
+
+  try {
+    const job = await loadSyncJob(dbService, jobId, clientId);
+    if (!job) return res.status(404).json({ error: "Sync job not found" });
 
-  if (!clientId || !accessToken || !status) {
-    logger.warn("Log attempt with missing fields", {
-      fields: {
-        clientId: !!clientId,
-        accessToken: !!accessToken,
-        status: !!status,
-      },
+    return res.json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      mode: job.mode,
+      totalRows: job.total_rows,
+      processedRows: job.processed_rows,
+      attempts: job.attempts,
+      result: job.result || undefined,
+      errors: job.errors || undefined,
+      error: job.error || undefined,
+      validation: job.validation || undefined,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
     });
-    return res.status(400).json({ error: "Missing required fields" });
+  } catch (error) {
+    logger.error(`Error loading sync job: ${error.message}`, {
+      error,
+      clientId,
+      jobId,
+    });
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Load a client's sync session, throwing a SESSION_ERRORS code if it is
+// missing or expired. Pass `forUpdate` to lock the row inside a transaction.
+async function loadSession(db, sessionId, clientId, forUpdate = false) {
+  const result = await db.query(
+    `SELECT id, client_id, status, total_chunks, record_count, expires_at,
+            expires_at < NOW() AS expired
+       FROM sync_sessions
+      WHERE id::text = $1 AND client_id = $2
+      ${forUpdate ? "FOR UPDATE" : ""}`,
+    [sessionId, clientId]
+  );
+
+  if (result.rowCount === 0) throw new Error("SESSION_NOT_FOUND");
+
+  const session = result.rows[0];
+  if (session.status === "OPEN" && session.expired) {
+    throw new Error("SESSION_EXPIRED");
+  }
+  return session;
+}
+
+// Indexes of the chunks received so far for a session
+async function receivedChunks(db, sessionId) {
+  const result = await db.query(
+    `SELECT chunk_index FROM sync_session_chunks
+      WHERE session_id = $1 ORDER BY chunk_index`,
+    [sessionId]
+  );
+  return result.rows.map((row) => row.chunk_index);
+}
+
+// Send the response for an error thrown by a session handler
+function sendSessionError(res, error, context) {
+  const known = SESSION_ERRORS[error.message];
+  if (known) {
+    const [status, message] = known;
+    return res.status(status).json({
+      error: message,
+      missingChunks: error.missingChunks,
+      unexpectedChunks: error.unexpectedChunks,
+      errors: error.errors,
+    });
+  }
+  logger.error(`Sync session error: ${error.message}`, { error, ...context });
+  return res
+    .status(500)
+    .json({ error: "Server error", details: error.message });
+}
+
+const TOTAL_CHUNKS_ERROR = `totalChunks must be an integer from 1 to ${MAX_SESSION_CHUNKS}`;
+
+// Begin a chunked sync session
+router.post("/sync/sessions", async (req, res) => {
+  const { clientId } = req;
+  const { totalChunks } = req.body;
+
+  if (totalChunks !== undefined && !isChunkCount(totalChunks)) {
+    return res.status(400).json({ error: TOTAL_CHUNKS_ERROR });
   }
 
   try {
-    const clientCheck = await dbService.query(
-      "SELECT client_id FROM sync_users WHERE client_id = $1 AND access_token = $2",
-      [clientId, accessToken]
+    const sessionId = crypto.randomUUID();
+    const result = await dbService.query(
+      `INSERT INTO sync_sessions (id, client_id, total_chunks, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+       RETURNING expires_at`,
+      [sessionId, clientId, totalChunks || null, SESSION_TTL_MINUTES]
     );
 
-    if (clientCheck.rowCount === 0) {
-      logger.warn("Log attempt with invalid credentials", { clientId });
-      return res
-        .status(401)
-        .json({ error: "Invalid client ID or access token" });
+    logger.info("Started sync session", { clientId, sessionId, totalChunks });
+    return res.status(201).json({
+      success: true,
+      sessionId,
+      expiresAt: result.rows[0].expires_at,
+    });
+  } catch (error) {
+    return sendSessionError(res, error, { clientId });
+  }
+});
+
+// Upload (or re-upload) one numbered chunk of a session
+router.put("/sync/sessions/:sessionId/chunks/:chunkIndex", async (req, res) => {
+  const { sessionId } = req.params;
+  const chunkIndex = Number(req.params.chunkIndex);
+  const { clientId } = req;
+  const { data, entities } = req.body;
+
+  const invalidPayload = payloadError(data, entities);
+  if (invalidPayload) {
+    logger.warn("Chunk upload with invalid fields", {
+      sessionId,
+      clientId,
+      payload: invalidPayload,
+    });
+    return res.status(400).json({ error: invalidPayload });
+  }
+
+  if (
+    !Number.isInteger(chunkIndex) ||
+    chunkIndex < 0 ||
+    chunkIndex >= MAX_SESSION_CHUNKS
+  ) {
+    return res.status(400).json({
+      error: `Chunk index must be an integer from 0 to ${MAX_SESSION_CHUNKS - 1}`,
+    });
+  }
+
+  // Chunks are stored grouped by entity so commit needs no row sniffing.
+  // Issue indexes are positions within this chunk.
+  const { grouped, issues } = validatePayload(data, entities);
+  const rowCount = Object.values(grouped).reduce(
+    (total, rows) => total + rows.length,
+    0
+  );
+
+  try {
+    const validationMode = await validationModeOf(dbService, clientId);
+    const validation =
+      issues.length > 0 ? validationReport(validationMode, issues) : undefined;
+
+    if (validation) {
+      logger.warn("Sync chunk failed validation", {
+        clientId,
+        sessionId,
+        chunkIndex,
+        validationMode,
+        rejectedRows: validation.rejectedRows,
+      });
+      if (validationMode === "strict") {
+        return res
+          .status(422)
+          .json({ error: "Sync chunk failed validation", validation });
+      }
     }
 
+    // Passwords are hashed before the chunk is stored, not at commit
+    const chunk = await hashPayloadSecrets(dbService, clientId, grouped);
+    const received = await dbService.transaction(async (client) => {
+      const session = await loadSession(client, sessionId, clientId, true);
+      if (session.status !== "OPEN") throw new Error("SESSION_CLOSED");
+      if (session.total_chunks && chunkIndex >= session.total_chunks) {
+        throw new Error("CHUNK_OUT_OF_RANGE");
+      }
+
+      // Re-sending a chunk replaces it, so failed uploads can be retried
+      await client.query(
+        `INSERT INTO sync_session_chunks (session_id, chunk_index, data, row_count)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (session_id, chunk_index)
+         DO UPDATE SET data = EXCLUDED.data,
+                       row_count = EXCLUDED.row_count,
+                       received_at = NOW()`,
+        [session.id, chunkIndex, JSON.stringify(chunk), rowCount]
+      );
+      await client.query(
+        `UPDATE sync_sessions
+            SET expires_at = NOW() + make_interval(mins => $2)
+          WHERE id = $1`,
+        [session.id, SESSION_TTL_MINUTES]
+      );
+
+      return receivedChunks(client, session.id);
+    });
+
+    logger.info("Received sync chunk", {
+      clientId,
+      sessionId,
+      chunkIndex,
+      rows: rowCount,
+    });
+    return res.json({
+      success: true,
+      chunkIndex,
+      rowCount,
+      receivedChunks: received,
+      validation,
+    });
+  } catch (error) {
+    return sendSessionError(res, error, { clientId, sessionId, chunkIndex });
+  }
+});
+
+// Report which chunks a session has received, so a client can resume
+router.post("/sync/sessions/:sessionId/status", async (req, res) => {
+  const { sessionId } = req.params;
+  const { clientId } = req;
+
+  try {
+    const session = await loadSession(dbService, sessionId, clientId);
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      status: session.status,
+      totalChunks: session.total_chunks,
+      receivedChunks: await receivedChunks(dbService, session.id),
+      recordCount: session.record_count,
+      expiresAt: session.expires_at,
+    });
+  } catch (error) {
+    return sendSessionError(res, error, { clientId, sessionId });
+  }
+});
+
+// Commit a session: atomically replace the client's data with all its chunks
+router.post("/sync/sessions/:sessionId/commit", async (req, res) => {
+  const { sessionId } = req.params;
+  const { clientId } = req;
+  const { totalChunks } = req.body;
+
+  if (totalChunks !== undefined && !isChunkCount(totalChunks)) {
+    return res.status(400).json({ error: TOTAL_CHUNKS_ERROR });
+  }
+
+  try {
+    const result = await dbService.transaction(async (client) => {
+      const session = await loadSession(client, sessionId, clientId, true);
+
+      // A retried commit whose response was lost reports the earlier result
+      if (session.status === "COMMITTED") {
+        return { alreadyCommitted: true, recordCount: session.record_count };
+      }
+      if (session.status !== "OPEN") throw new Error("SESSION_CLOSED");
+
+      const expected = totalChunks || session.total_chunks;
+      if (!expected) throw new Error("TOTAL_CHUNKS_REQUIRED");
+
+      // Sessions without totalChunks can hold chunks past the count the
+      // commit gives, so those are reported too
+      const received = await receivedChunks(client, session.id);
+      const present = new Set(received);
+      const missing = [];
+      for (let i = 0; i < expected; i++) {
+        if (!present.has(i)) missing.push(i);
+      }
+      if (missing.length > 0) {
+        const error = new Error("CHUNKS_MISSING");
+        error.missingChunks = missing;
+        throw error;
+      }
+      const unexpected = received.filter((index) => index >= expected);
+      if (unexpected.length > 0) {
+        const error = new Error("CHUNKS_UNEXPECTED");
+        error.unexpectedChunks = unexpected;
+        throw error;
+      }
+
+      // Replace every entity that appears in any chunk
+      const names = await client.query(
+        `SELECT DISTINCT jsonb_object_keys(data) AS name
+           FROM sync_session_chunks WHERE session_id = $1`,
+        [session.id]
+      );
+      const replaced = names.rows.map((row) => row.name);
+      const stored = await storedHashes(client, clientId, replaced);
+      await clearClientData(client, clientId, replaced);
+
+      // A strict client's commit is rolled back if any row fails, such as
+      // keys repeated across chunks
+      const strict = (await validationModeOf(client, clientId)) === "strict";
+
+      // Load chunks one at a time to keep memory bounded
+      let recordCount = 0;
+      const errors = [];
+      for (const index of received) {
+        const chunk = await client.query(
+          `SELECT data FROM sync_session_chunks
+            WHERE session_id = $1 AND chunk_index = $2`,
+          [session.id, index]
+        );
+        const inserted = await insertRows(
+          client,
+          clientId,
+          chunk.rows[0].data,
+          stored
+        );
+        recordCount += inserted.recordCount;
+        errors.push(...inserted.errors);
+      }
+      if (strict && errors.length > 0) throw rowsRejected(errors);
+
+      await client.query(
+        `UPDATE sync_sessions
+            SET status = 'COMMITTED', committed_at = NOW(), record_count = $2
+          WHERE id = $1`,
+        [session.id, recordCount]
+      );
+      await client.query(
+        "DELETE FROM sync_session_chunks WHERE session_id = $1",
+        [session.id]
+      );
+      await takeSnapshot(client, clientId, "SESSION");
+
+      return { alreadyCommitted: false, recordCount, errors };
+    });
+
+    if (result.alreadyCommitted) {
+      return res.json({
+        success: true,
+        message: "Sync session was already committed",
+        recordCount: result.recordCount,
+      });
+    }
+
+    const { recordCount, errors } = result;
+    await recordSyncLog(
+      clientId,
+      recordCount,
+      errors.length,
+      `session ${sessionId}`
+    );
+
+    logger.info("Committed sync session", { clientId, sessionId, recordCount });
+    return res.json({
+      success: true,
+      message: `Successfully synced ${recordCount} records`,
+      recordCount,
+      errors: errors.length > 0 ? errors : undefined,
+    });
+  } catch (error) {
+    if (error.message === "ROWS_REJECTED") {
+      await recordFailedSync(
+        clientId,
+        error.errors.length,
+        `session ${sessionId}`
+      );
+    }
+    return sendSessionError(res, error, { clientId, sessionId });
+  }
+});
+
+// Abort a session and discard its chunks
+router.delete("/sync/sessions/:sessionId", async (req, res) => {
+  const { sessionId } = req.params;
+  const { clientId } = req;
+
+  try {
+    const session = await loadSession(dbService, sessionId, clientId);
+    if (session.status !== "OPEN") throw new Error("SESSION_CLOSED");
+
+    await dbService.query("DELETE FROM sync_sessions WHERE id = $1", [
+      session.id,
+    ]);
+
+    logger.info("Aborted sync session", { clientId, sessionId });
+    return res.json({ success: true });
+  } catch (error) {
+    return sendSessionError(res, error, { clientId, sessionId });
+  }
+});
+
+// Log sync operation
+router.post("/sync/log", async (req, res) => {
+  const { clientId } = req;
+  const { status, recordCount, message } = req.body;
+
+  if (!status) {
+    logger.warn("Log attempt with missing fields", { clientId });
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+
+  try {
     await dbService.query(
       "INSERT INTO sync_logs (client_id, records_synced, status, message) VALUES ($1, $2, $3, $4)",
       [clientId, recordCount || 0, status, message || ""]
@@ -0,0 +1,307 @@
+// routes/syncLogs.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { csvRow } = require("../utils/csv");
+const { SYNC_LOG_SOURCES } = require("../services/syncService");
+
+const LOG_STATUSES = ["SUCCESS", "PARTIAL", "FAILED"];
+
+// Sortable fields and the SQL type their cursor values are cast back to
+const SORTS = {
+  sync_date: { column: "s.sync_date", type: "timestamp" },
+  records_synced: { column: "COALESCE(s.records_synced, 0)", type: "integer" },
+  client_id: { column: "s.client_id", type: "text" },
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+const LOG_COLUMNS = [
+  "id",
+  "client_id",
+  "db_name",
+  "sync_date",
+  "records_synced",
+  "status",
+  "source",
+  "message",
+];
+
+const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson",
+};
+
+router.use("/logs", requireRole("viewer"));
+
+// Validate the filter and sort query parameters shared by the list and the
+// export. Returns { error } or { filter }.
+function parseLogQuery(query) {
+  const { clientId, from, to, q, sort = "sync_date", order = "desc" } = query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be a valid date` };
+    }
+  }
+
+  const statuses =
+    query.status === undefined
+      ? []
+      : String(query.status)
+          .split(",")
+          .map((status) => status.trim().toUpperCase());
+  const unknown = statuses.find((status) => !LOG_STATUSES.includes(status));
+  if (unknown !== undefined) {
+    return { error: `status must be one of: ${LOG_STATUSES.join(", ")}` };
+  }
+
+  const source =
+    query.source === undefined
+      ? undefined
+      : String(query.source).trim().toUpperCase();
+  if (source !== undefined && !SYNC_LOG_SOURCES.includes(source)) {
+    return { error: `source must be one of: ${SYNC_LOG_SOURCES.join(", ")}` };
+  }
+
+  if (!SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(", ")}` };
+  }
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+
+  return {
+    filter: { clientId, statuses, source, from, to, q, sort, order },
+  };
+}
+
+// Cursors are opaque base64url JSON holding the sort they were made for and
+// the sort value and id of the last row returned
+function encodeCursor(filter, row) {
+  return Buffer.from(
+    JSON.stringify({
+      sort: filter.sort,
+      order: filter.order,
+      value: row.cursor_value,
+      id: row.id,
+    })
+  ).toString("base64url");
+}
+
+// Returns the decoded position, or null if the cursor is not valid for this
+// filter
+function decodeCursor(filter, cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      position.sort !== filter.sort ||
+      position.order !== filter.order ||
+      typeof position.value !== "string" ||
+      !Number.isInteger(position.id)
+    ) {
+      return null;
+    }
+    return position;
+  } catch {
+    return null;
+  }
+}
+
+// Fetch up to `limit` logs matching `filter`, starting after `position`
+async function fetchLogs(filter, limit, position) {
+  const sort = SORTS[filter.sort];
+  const direction = filter.order === "asc" ? "ASC" : "DESC";
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, ...values) => {
+    let index = 0;
+    conditions.push(
+      sql.replace(/\?/g, () => {
+        params.push(values[index++]);
+        return `$${params.length}`;
+      })
+    );
+  };
+
+  if (filter.clientId !== undefined) {
+    addCondition("s.client_id = ?", filter.clientId);
+  }
+  if (filter.statuses.length > 0) {
+    addCondition("s.status = ANY(?)", filter.statuses);
+  }
+  if (filter.source !== undefined) {
+    addCondition("s.source = ?", filter.source);
+  }
+  if (filter.from !== undefined) addCondition("s.sync_date >= ?", filter.from);
+  if (filter.to !== undefined) addCondition("s.sync_date < ?", filter.to);
+  if (filter.q) {
+    addCondition(
+      "s.message ILIKE ?",
+      `%${filter.q.replace(/[\\%_]/g, (char) => `\\${char}`)}%`
+    );
+  }
+  if (position) {
+    addCondition(
+      `(${sort.column}, s.id) ${direction === "ASC" ? ">" : "<"} (?::${
+        sort.type
+      }, ?)`,
+      position.value,
+      position.id
+    );
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  params.push(limit);
+
+  const result = await dbService.query(
+    `SELECT s.id, s.client_id, u.db_name, s.sync_date, s.records_synced,
+            s.status, s.source, s.message,
+            ${sort.column}::text AS cursor_value
+       FROM sync_logs s
+       JOIN sync_users u ON s.client_id = u.client_id
+       ${where}
+      ORDER BY ${sort.column} ${direction}, s.id ${direction}
+      LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+// Strip the internal cursor column from a row
+function publicLog(row) {
+  const { cursor_value, ...log } = row;
+  return log;
+}
+
+// Browse sync logs. Filters: clientId, status (comma-separated), source,
+// from, to and q (message text). Sorted by sort/order and paged with limit
+// and the nextCursor of the previous page.
+router.get("/logs", async (req, res) => {
+  const { filter, error } = parseLogQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  let position = null;
+  if (req.query.cursor !== undefined) {
+    position = decodeCursor(filter, String(req.query.cursor));
+    if (!position) {
+      return res.status(400).json({
+        success: false,
+        error: "cursor is invalid or was made for a different sort",
+      });
+    }
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  try {
+    // One extra row tells whether there is another page
+    const rows = await fetchLogs(filter, limit + 1, position);
+    const page = rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      logs: page.map(publicLog),
+      nextCursor:
+        rows.length > limit
+          ? encodeCursor(filter, page[page.length - 1])
+          : null,
+    });
+  } catch (error) {
+    logger.error(`Error fetching logs: ${error.message}`, { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stream every log matching the same filters as GET /logs, as CSV or NDJSON
+router.get("/logs/export", async (req, res) => {
+  const { filter, error } = parseLogQuery(req.query);
+  if (error) return res.status(400).json({ success: false, error });
+
+  const format = req.query.format || "csv";
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  // Wait for the socket to drain, or give up if the download is cancelled
+  const write = async (chunk) => {
+    if (res.write(chunk) || closed) return;
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  };
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="sync-logs-${stamp}.${format}"`
+  );
+
+  let exported = 0;
+  try {
+    if (format === "csv") await write(csvRow(LOG_COLUMNS));
+
+    // Page through with the same cursor the list uses, so memory stays flat
+    let position = null;
+    while (!closed) {
+      const rows = await fetchLogs(filter, EXPORT_BATCH_SIZE, position);
+
+      for (const row of rows) {
+        const log = publicLog(row);
+        await write(
+          format === "csv"
+            ? csvRow(LOG_COLUMNS.map((column) => log[column]))
+            : `${JSON.stringify(log)}\n`
+        );
+      }
+      exported += rows.length;
+
+      if (rows.length < EXPORT_BATCH_SIZE) break;
+      const last = rows[rows.length - 1];
+      position = { value: last.cursor_value, id: last.id };
+    }
+
+    res.end();
+    logger.info(`Admin ${req.adminId} exported ${exported} sync log(s)`, {
+      format,
+      cancelled: closed,
+    });
+  } catch (error) {
+    logger.error(`Error exporting logs: ${error.message}`, {
+      error,
+      exported,
+    });
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    // Once streaming has started, the only signal left is a cut-off download
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,406 @@
+// routes/syncStream.js
+// Streamed uploads to POST /sync/data. An application/x-ndjson body, which
+// may be gzip- or deflate-compressed, starts with a header line carrying the
+// credentials and sync options; every other line is one row. Rows are
+// validated and written as they arrive, in one transaction, so memory use
+// does not grow with the upload. JSON bodies fall through to syncApi.js.
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { decodedBody, readLines, spoolLines } = require("../utils/ndjson");
+const {
+  clearClientData,
+  storedHashes,
+  batchWriter,
+  recordSyncLog,
+  recordFailedSync,
+} = require("../services/syncService");
+const { takeSnapshot } = require("../services/snapshotService");
+const {
+  ROWS_REJECTED_ERROR,
+  rowsRejected,
+  syncOutcome,
+} = require("../services/syncJobService");
+const { authenticateStream } = require("../middleware/clientAuth");
+const { admitRequest } = require("../middleware/clientQuota");
+const { getClientLimits, reserveRecords } = require("../services/quotaService");
+const {
+  LEGACY_ENTITIES,
+  getEntity,
+  deletedError,
+  checkDeleted,
+  isRowObject,
+  rowValidator,
+} = require("../services/entityRegistry");
+
+const NDJSON_TYPE = "application/x-ndjson";
+
+const SYNC_MODES = ["full", "delta"];
+
+// Longest line accepted, in characters
+const MAX_LINE_LENGTH =
+  Number(process.env.SYNC_STREAM_MAX_LINE_LENGTH) || 1024 * 1024;
+
+// Largest compressed body accepted. The decompressed body is held to the
+// client's payload limit.
+const MAX_COMPRESSED_BYTES =
+  (Number(process.env.SYNC_STREAM_MAX_COMPRESSED_MB) || 50) * 1024 * 1024;
+
+// Rows counted against the daily record quota at a time
+const QUOTA_BATCH_ROWS = 1000;
+
+// Issues listed in a validation report; issueCount counts them all
+const MAX_REPORTED_ISSUES = 1000;
+
+// Upload error codes thrown while the body is read, mapped to responses
+const STREAM_ERRORS = {
+  LINE_TOO_LONG: [413, `Lines may be at most ${MAX_LINE_LENGTH} characters`],
+  BAD_COMPRESSION: [400, "Request body could not be decompressed"],
+  PAYLOAD_TOO_LARGE: [
+    413,
+    `Compressed bodies may be at most ${MAX_COMPRESSED_BYTES} bytes`,
+  ],
+  QUOTA_EXCEEDED: [429, "Daily record quota exceeded, try again later"],
+  VALIDATION_FAILED: [422, "Sync payload failed validation"],
+  ROWS_REJECTED: [422, ROWS_REJECTED_ERROR],
+};
+
+// Count records against the client's daily quota, throwing QUOTA_EXCEEDED
+// when they do not fit
+async function reserveOrThrow(clientId, count, limits) {
+  if (count === 0) return;
+  const usage = await reserveRecords(dbService, clientId, count, limits);
+  if (!usage.accepted) {
+    const error = new Error("QUOTA_EXCEEDED");
+    error.retryAfter = usage.retryAfter;
+    throw error;
+  }
+}
+
+// Check the header line's sync options. Returns the options, or { error }
+// with the `validation` report of any invalid deleted keys.
+function readOptions(header) {
+  const {
+    mode = "full",
+    entities = LEGACY_ENTITIES,
+    deleted,
+    dryRun = false,
+    async: runAsync = false,
+  } = header;
+
+  if (!SYNC_MODES.includes(mode)) {
+    return { error: `Mode must be one of: ${SYNC_MODES.join(", ")}` };
+  }
+  if (dryRun !== false || runAsync !== false) {
+    return { error: "dryRun and async are not available for streamed uploads" };
+  }
+  if (
+    !Array.isArray(entities) ||
+    entities.length === 0 ||
+    entities.some((name) => !getEntity(name))
+  ) {
+    return { error: "entities must be a list of entity names" };
+  }
+  const invalidDeleted = deletedError(deleted);
+  if (invalidDeleted) return { error: invalidDeleted };
+
+  const checked = checkDeleted(deleted);
+  if (checked.issues.length > 0) {
+    return {
+      error: "deleted lists invalid keys",
+      validation: {
+        issueCount: checked.issues.length,
+        issues: checked.issues.slice(0, MAX_REPORTED_ISSUES),
+      },
+    };
+  }
+
+  return { mode, names: [...new Set(entities)], deleted: checked.deleted };
+}
+
+// Parse and validate one row line: either { "entity": name, "row": {...} }
+// or a bare row, matched to an entity like the rows of a JSON body's `data`.
+// Returns { name, row, issues }.
+function checkLine(line, index, names, check) {
+  const issue = (entity, reason) => ({
+    issues: [{ entity, index, field: null, reason }],
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch {
+    return issue(null, "line is not valid JSON");
+  }
+
+  const tagged =
+    isRowObject(parsed) && typeof parsed.entity === "string" && "row" in parsed;
+  const row = tagged ? parsed.row : parsed;
+
+  if (tagged && !names.includes(parsed.entity)) {
+    return issue(parsed.entity, "entity is not listed in the header");
+  }
+  const { name, issues } = check(tagged ? parsed.entity : null, row, index);
+  if (issues.length === 0 && !names.includes(name)) {
+    return issue(name, "entity is not listed in the header");
+  }
+  return { name, row, issues };
+}
+
+// Send the response for an error thrown while reading an upload
+function sendStreamError(res, error, context) {
+  // zlib reports corrupt input with Z_* codes
+  const code =
+    error.code && error.code.startsWith("Z_")
+      ? "BAD_COMPRESSION"
+      : error.message;
+  const known = error.problem || STREAM_ERRORS[code];
+  if (known) {
+    const [status, message] = known;
+    logger.warn(`Streamed sync rejected: ${message}`, context);
+    if (error.retryAfter !== undefined) {
+      res.set("Retry-After", String(error.retryAfter));
+    }
+    return res.status(status).json({
+      error: message,
+      validation: error.validation,
+      errors: error.errors,
+    });
+  }
+
+  logger.error("Error syncing streamed data:", {
+    ...context,
+    errorMessage: error.message,
+    errorStack: error.stack,
+  });
+  return res
+    .status(500)
+    .json({ error: "Server error", details: error.message });
+}
+
+router.post("/sync/data", async (req, res, next) => {
+  if (!req.is(NDJSON_TYPE)) return next();
+
+  // Signed uploads are checked against the hash of the decompressed body,
+  // as for JSON bodies. The decompressed size is held to the client's
+  // payload limit once the client is known.
+  const bodyHash = crypto.createHash("sha256");
+  let maxBytes = Infinity;
+  let received = 0;
+  const checkSize = () => {
+    if (received > maxBytes) {
+      const error = new Error("PAYLOAD_TOO_LARGE");
+      error.problem = [
+        413,
+        `Payload exceeds this client's limit of ${maxBytes} bytes`,
+      ];
+      throw error;
+    }
+  };
+  let lines;
+  try {
+    lines = readLines(
+      decodedBody(req, MAX_COMPRESSED_BYTES),
+      MAX_LINE_LENGTH,
+      (chunk) => {
+        received += chunk.length;
+        checkSize();
+        bodyHash.update(chunk);
+      }
+    );
+  } catch (error) {
+    if (error.message !== "UNSUPPORTED_ENCODING") throw error;
+    return res
+      .status(415)
+      .json({ error: `Unsupported Content-Encoding: ${error.encoding}` });
+  }
+
+  const context = { path: req.originalUrl };
+  let spool;
+
+  try {
+    const first = await lines.next();
+    let header;
+    try {
+      header = first.done ? undefined : JSON.parse(first.value);
+    } catch {
+      header = undefined;
+    }
+    if (!isRowObject(header)) {
+      return res
+        .status(400)
+        .json({ error: "The first line must be a JSON header object" });
+    }
+
+    if (!(await authenticateStream(req, res, header))) return;
+    const { clientId } = req;
+    context.clientId = clientId;
+
+    const { limits } = await getClientLimits(dbService, clientId);
+    maxBytes = limits.maxPayloadBytes;
+    checkSize();
+
+    // The signature covers the whole body, so a signed upload is read into a
+    // temporary file and checked before it counts against any quota or
+    // anything is locked or written. A forged upload leaves nothing behind.
+    if (req.checkBodySignature) {
+      spool = await spoolLines(lines, MAX_LINE_LENGTH);
+      const problem = await req.checkBodySignature(bodyHash.digest("hex"));
+      if (problem) {
+        const error = new Error("SIGNATURE_REJECTED");
+        error.problem = problem;
+        throw error;
+      }
+      lines = spool.lines;
+    }
+
+    if (!(await admitRequest(req, res, limits))) return;
+
+    const options = readOptions(header);
+    if (options.error) {
+      logger.warn("Streamed sync with invalid header", {
+        clientId,
+        error: options.error,
+      });
+      return res
+        .status(400)
+        .json({ error: options.error, validation: options.validation });
+    }
+    const { mode, names, deleted } = options;
+    logger.info("Receiving streamed sync", { clientId, mode, entities: names });
+
+    await reserveOrThrow(
+      clientId,
+      Object.values(deleted).reduce((total, keys) => total + keys.length, 0),
+      limits
+    );
+
+    const outcome = await dbService.transaction(async (client) => {
+      // Holding the client's row keeps queued jobs and restores for the
+      // client from running while the upload is written
+      const user = await client.query(
+        `SELECT validation_mode FROM sync_users
+          WHERE client_id = $1 FOR UPDATE`,
+        [clientId]
+      );
+      const validationMode = user.rows[0].validation_mode;
+      const strict = validationMode === "strict";
+
+      let stored = {};
+      if (mode === "full") {
+        stored = await storedHashes(client, clientId, names);
+        await clearClientData(client, clientId, names);
+      }
+      const writer = batchWriter(client, clientId, { mode, names, stored });
+      const check = rowValidator();
+      const validation = {
+        mode: validationMode,
+        rejectedRows: 0,
+        issueCount: 0,
+        issues: [],
+      };
+
+      let rows = 0;
+      for await (const line of lines) {
+        const index = rows++;
+        if (rows % QUOTA_BATCH_ROWS === 0) {
+          await reserveOrThrow(clientId, QUOTA_BATCH_ROWS, limits);
+        }
+
+        const { name, row, issues } = checkLine(line, index, names, check);
+        if (issues.length > 0) {
+          validation.rejectedRows++;
+          validation.issueCount += issues.length;
+          validation.issues.push(
+            ...issues.slice(0, MAX_REPORTED_ISSUES - validation.issues.length)
+          );
+          continue;
+        }
+
+        // A strict upload with an invalid row is rolled back, so nothing
+        // more is written; the rest is still read for the report
+        if (!strict || validation.rejectedRows === 0) {
+          await writer.add(name, row);
+        }
+      }
+      await reserveOrThrow(clientId, rows % QUOTA_BATCH_ROWS, limits);
+
+      if (strict && validation.issueCount > 0) {
+        const error = new Error("VALIDATION_FAILED");
+        error.validation = validation;
+        throw error;
+      }
+
+      const result = await writer.finish(deleted);
+      if (strict && result.errorCount > 0) throw rowsRejected(result.errors);
+
+      // Delta uploads take no snapshot, as in runSync
+      if (mode === "full") await takeSnapshot(client, clientId, "FULL");
+
+      return {
+        result,
+        rows,
+        validation: validation.issueCount > 0 ? validation : undefined,
+      };
+    });
+
+    const { result, rows, validation } = outcome;
+    const { errors, errorCount } = result;
+    const { recordCount, note } = syncOutcome(mode, result);
+    const errorList = errors.length > 0 ? errors : undefined;
+
+    // Rows skipped by validation count as errors
+    await recordSyncLog(
+      clientId,
+      recordCount,
+      (validation ? validation.issueCount : 0) + errorCount,
+      note ? `streamed, ${note}` : "streamed"
+    );
+    logger.info("Synced streamed data", { clientId, mode, rows, recordCount });
+
+    if (mode === "delta") {
+      return res.status(200).json({
+        success: true,
+        message: `Successfully applied delta of ${recordCount} changes`,
+        mode,
+        inserted: result.inserted,
+        updated: result.updated,
+        deleted: result.deleted,
+        unchanged: result.unchanged,
+        recordCount,
+        errors: errorList,
+        validation,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Successfully synced ${recordCount} records`,
+      recordCount,
+      counts: result.counts,
+      errors: errorList,
+      validation,
+    });
+  } catch (error) {
+    if (error.message === "VALIDATION_FAILED") {
+      await recordFailedSync(
+        req.clientId,
+        error.validation.issueCount,
+        "streamed, validation"
+      );
+    } else if (error.message === "ROWS_REJECTED") {
+      await recordFailedSync(
+        req.clientId,
+        error.errors.length,
+        "streamed, row errors"
+      );
+    }
+    return sendStreamError(res, error, context);
+  } finally {
+    if (spool) await spool.remove();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,394 @@
+// routes/webhooks.js
+const express = require("express");
+const router = express.Router();
+const logger = require("../utils/logger");
+const dbService = require("../services/dbService");
+const { requireRole } = require("../middleware/auth");
+const { recordAudit } = require("../services/auditService");
+const { generateToken } = require("../services/tokenService");
+const { encryptSecret } = require("../utils/secrets");
+const {
+  EVENT_TYPES,
+  enqueuePing,
+  processDueDeliveries,
+} = require("../services/webhookService");
+
+// Webhooks send client data to other systems, so only superadmins manage them
+router.use("/webhooks", requireRole("superadmin"));
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const DELIVERY_STATUSES = ["PENDING", "DELIVERED", "FAILED"];
+
+const WEBHOOK_COLUMNS = `id, url, events, description, enabled, created_at,
+  updated_at`;
+
+const DELIVERY_COLUMNS = `id, webhook_id, event, status, attempts,
+  next_attempt_at, last_status_code, last_error, redelivery_of, created_at,
+  delivered_at`;
+
+// Webhook fields compared in audit entries; the secret is redacted
+function auditSnapshot(webhook) {
+  const { url, events, description, enabled, secret } = webhook;
+  return { url, events, description, enabled, secret };
+}
+
+// Describe what is wrong with a webhook's url, events, description or
+// enabled flag, or return null. With `partial`, missing fields are allowed.
+function webhookError(body, partial) {
+  const { url, events, description, enabled } = body;
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "url must be an http or https URL";
+    }
+  }
+  if (events !== undefined || !partial) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !EVENT_TYPES.includes(event))
+    ) {
+      return `events must be a non-empty list of: ${EVENT_TYPES.join(", ")}`;
+    }
+  }
+  if (
+    description !== undefined &&
+    description !== null &&
+    typeof description !== "string"
+  ) {
+    return "description must be a string";
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "enabled must be true or false";
+  }
+  return null;
+}
+
+// Send the response for an error thrown by a webhook handler
+function sendWebhookError(res, error, context) {
+  if (error.message.startsWith("No webhook")) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logger.error(`Webhook error: ${error.message}`, { error, ...context });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// Reject non-numeric webhook and delivery IDs before they reach a query
+for (const name of ["id", "deliveryId"]) {
+  router.param(name, (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+      return res.status(400).json({ success: false, error: "Invalid ID" });
+    }
+    next();
+  });
+}
+
+// List deliveries, newest first. Filters: webhookId, event, status.
+// Paginated with page and pageSize.
+router.get("/webhooks/deliveries", async (req, res) => {
+  const { webhookId, event, status } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  if (webhookId !== undefined && !/^\d+$/.test(webhookId)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid webhook ID" });
+  }
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+    });
+  }
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (webhookId !== undefined) addCondition("webhook_id = ?", webhookId);
+  if (event !== undefined) addCondition("event = ?", event);
+  if (status !== undefined) addCondition("status = ?", status);
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  try {
+    const total = await dbService.query(
+      `SELECT COUNT(*)::int AS count FROM webhook_deliveries ${where}`,
+      params
+    );
+    const result = await dbService.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+         ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    res.json({
+      success: true,
+      deliveries: result.rows,
+      page,
+      pageSize,
+      total: total.rows[0].count,
+    });
+  } catch (error) {
+    return sendWebhookError(res, error, {});
+  }
+});
+
+// One delivery with its payload and every attempt
+router.get("/webhooks/deliveries/:deliveryId", async (req, res) => {
+  const { deliveryId } = req.params;
+
+  try {
+    const delivery = await dbService.query(
+      `SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries
+        WHERE id = $1`,
+      [deliveryId]
+    );
+    if (delivery.rowCount === 0) {
+      throw new Error(`No webhook delivery found with ID: ${deliveryId}`);
+    }
+
+    const attempts = await dbService.query(
+      `SELECT id, attempted_at, status_code, error, duration_ms
+         FROM webhook_delivery_attempts
+        WHERE delivery_id = $1
+        ORDER BY attempted_at, id`,
+      [deliveryId]
+    );
+
+    res.json({
+      success: true,
+      delivery: { ...delivery.rows[0], attempts_log: attempts.rows },
+    });
+  } catch (error) {
+    return sendWebhookError(res, error, { deliveryId });
+  }
+});
+
+// Send a delivery's payload again as a new delivery, whatever its status
+router.post("/webhooks/deliveries/:deliveryId/redeliver", async (req, res) => {
+  const { deliveryId } = req.params;
+
+  try {
+    const result = await dbService.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+       SELECT webhook_id, event, payload, id FROM webhook_deliveries
+        WHERE id = $1
+       RETURNING ${DELIVERY_COLUMNS}`,
+      [deliveryId]
+    );
+    if (result.rowCount === 0) {
+      throw new Error(`No webhook delivery found with ID: ${deliveryId}`);
+    }
+
+    logger.info(`Admin ${req.adminId} redelivered webhook delivery`, {
+      deliveryId,
+      newDeliveryId: result.rows[0].id,
+    });
+    processDueDeliveries();
+    res.status(202).json({ success: true, delivery: result.rows[0] });
+  } catch (error) {
+    return sendWebhookError(res, error, { deliveryId });
+  }
+});
+
+// List webhooks. Secrets are never returned here.
+router.get("/webhooks", async (req, res) => {
+  try {
+    const result = await dbService.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`
+    );
+    res.json({ success: true, webhooks: result.rows, events: EVENT_TYPES });
+  } catch (error) {
+    return sendWebhookError(res, error, {});
+  }
+});
+
+// Create a webhook. Its signing secret is returned only in this response.
+router.post("/webhooks", async (req, res) => {
+  const invalid = webhookError(req.body, false);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  const { url, events, description = null, enabled = true } = req.body;
+  const secret = generateToken();
+
+  try {
+    const webhook = await dbService.transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO webhooks (url, events, secret, description, enabled)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${WEBHOOK_COLUMNS}`,
+        [url, events, encryptSecret(secret), description, enabled]
+      );
+
+      await recordAudit(client, req, {
+        action: "WEBHOOK_CREATE",
+        after: auditSnapshot({ ...result.rows[0], secret }),
+      });
+      return result.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} created webhook ${webhook.id}`, {
+      url,
+      events,
+    });
+    res.status(201).json({ success: true, webhook, secret });
+  } catch (error) {
+    return sendWebhookError(res, error, {});
+  }
+});
+
+// Update a webhook's url, events, description or enabled flag
+router.put("/webhooks/:id", async (req, res) => {
+  const id = Number(req.params.id);
+  const invalid = webhookError(req.body, true);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  const { url, events, description, enabled } = req.body;
+
+  try {
+    const webhook = await dbService.transaction(async (client) => {
+      const before = await client.query(
+        "SELECT * FROM webhooks WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No webhook found with ID: ${id}`);
+      }
+
+      const result = await client.query(
+        `UPDATE webhooks
+            SET url = COALESCE($2, url),
+                events = COALESCE($3, events),
+                description = CASE WHEN $4 THEN $5 ELSE description END,
+                enabled = COALESCE($6, enabled),
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING ${WEBHOOK_COLUMNS}, secret`,
+        [
+          id,
+          url || null,
+          events || null,
+          description !== undefined,
+          description === undefined ? null : description,
+          enabled === undefined ? null : enabled,
+        ]
+      );
+
+      await recordAudit(client, req, {
+        action: "WEBHOOK_UPDATE",
+        before: auditSnapshot(before.rows[0]),
+        after: auditSnapshot(result.rows[0]),
+      });
+
+      delete result.rows[0].secret;
+      return result.rows[0];
+    });
+
+    logger.info(`Admin ${req.adminId} updated webhook ${id}`);
+    res.json({ success: true, webhook });
+  } catch (error) {
+    return sendWebhookError(res, error, { id });
+  }
+});
+
+// Replace a webhook's signing secret. The new secret is returned only here.
+router.post("/webhooks/:id/secret", async (req, res) => {
+  const id = Number(req.params.id);
+  const secret = generateToken();
+
+  try {
+    await dbService.transaction(async (client) => {
+      const before = await client.query(
+        "SELECT secret FROM webhooks WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (before.rowCount === 0) {
+        throw new Error(`No webhook found with ID: ${id}`);
+      }
+
+      await client.query(
+        "UPDATE webhooks SET secret = $2, updated_at = NOW() WHERE id = $1",
+        [id, encryptSecret(secret)]
+      );
+
+      await recordAudit(client, req, {
+        action: "WEBHOOK_SECRET_ROTATE",
+        before: before.rows[0],
+        after: { secret },
+      });
+    });
+
+    logger.info(`Admin ${req.adminId} rotated the secret of webhook ${id}`);
+    res.json({ success: true, secret });
+  } catch (error) {
+    return sendWebhookError(res, error, { id });
+  }
+});
+
+// Send a ping event to check the receiver
+router.post("/webhooks/:id/ping", async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    const exists = await dbService.query(
+      "SELECT id FROM webhooks WHERE id = $1",
+      [id]
+    );
+    if (exists.rowCount === 0) {
+      throw new Error(`No webhook found with ID: ${id}`);
+    }
+
+    const deliveryId = await enqueuePing(dbService, id);
+    processDueDeliveries();
+    res.status(202).json({ success: true, deliveryId });
+  } catch (error) {
+    return sendWebhookError(res, error, { id });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete("/webhooks/:id", async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    await dbService.transaction(async (client) => {
+      const result = await client.query(
+        "DELETE FROM webhooks WHERE id = $1 RETURNING *",
+        [id]
+      );
+      if (result.rowCount === 0) {
+        throw new Error(`No webhook found with ID: ${id}`);
+      }
+
+      await recordAudit(client, req, {
+        action: "WEBHOOK_DELETE",
+        before: auditSnapshot(result.rows[0]),
+      });
+    });
+
+    logger.info(`Admin ${req.adminId} deleted webhook ${id}`);
+    res.json({ success: true, message: `Webhook ${id} deleted` });
+  } catch (error) {
+    return sendWebhookError(res, error, { id });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// scripts/benchmark-ingestion.js
+// Compares the legacy one-INSERT-per-row sync path with the batched path in
+// services/syncService.js against the Postgres configured in .env, then
+// times delta syncs: one inserting every row, and one over stored rows that
+// changes every other acc_master row. Everything runs inside a transaction
+// that is rolled back at the end.
+//
+// Usage: node scripts/benchmark-ingestion.js [rowCount]
+const dbService = require("../services/dbService");
+const { insertRows, applyDelta } = require("../services/syncService");
+const { groupPayload } = require("../services/entityRegistry");
+const { hashPassword } = require("../utils/passwords");
+
+const ROW_COUNT = Number(process.argv[2]) || 50000;
+const CLIENT_ID = `bench-${process.pid}`;
+
+// Roughly one acc_users row for every ten acc_master rows. Passwords are
+// given already hashed, which the sync keeps as they are, so both paths are
+// timed on inserts alone rather than on scrypt.
+function generateRows(count, passwordHash) {
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    if (i % 10 === 9) {
+      rows.push({ ID: 900000000 + i, PASS: passwordHash });
+    } else {
+      rows.push({
+        CODE: `B${i}`,
+        NAME: `Benchmark ledger ${i}`,
+        ADDRESS: `${i} Benchmark Street`,
+        PLACE: "Benchmark",
+        SUPER_CODE: i > 100 ? `B${i % 100}` : null,
+      });
+    }
+  }
+  return rows;
+}
+
+// The pre-batching ingestion loop, without its per-row log lines
+async function legacyInsertRows(client, clientId, data) {
+  let count = 0;
+  for (const row of data) {
+    if (row.ID && row.PASS) {
+      await client.query(
+        `INSERT INTO acc_users (id, pass, client_id) VALUES ($1, $2, $3)`,
+        [row.ID, row.PASS, clientId]
+      );
+    } else {
+      await client.query(
+        `INSERT INTO acc_master (code, name, address, place, super_code, client_id)
+        VALUES($1,$2,$3,$4,$5,$6)`,
+        [row.CODE, row.NAME, row.ADDRESS, row.PLACE, row.SUPER_CODE, clientId]
+      );
+    }
+    count++;
+  }
+  return count;
+}
+
+// Rows of `data` with every other acc_master name changed
+function changedRows(data) {
+  return data.map((row, i) =>
+    row.CODE && i % 2 === 0 ? { ...row, NAME: `${row.NAME} (changed)` } : row
+  );
+}
+
+// Time `fn` inside a savepoint that is rolled back afterwards. `setup`, if
+// given, runs first without being timed.
+async function time(label, client, fn, setup) {
+  await client.query("SAVEPOINT benchmark");
+  if (setup) await setup();
+  const start = process.hrtime.bigint();
+  const count = await fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  await client.query("ROLLBACK TO SAVEPOINT benchmark");
+
+  console.log(
+    `${label.padEnd(10)} ${String(count).padStart(8)} rows  ${ms
+      .toFixed(0)
+      .padStart(8)} ms  ${Math.round((count / ms) * 1000)} rows/s`
+  );
+}
+
+async function main() {
+  const data = generateRows(ROW_COUNT, await hashPassword("benchmark"));
+  const client = await dbService.pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    console.log(`Ingesting ${ROW_COUNT} rows for ${CLIENT_ID}`);
+
+    await time("legacy", client, () =>
+      legacyInsertRows(client, CLIENT_ID, data)
+    );
+    await time("batched", client, async () => {
+      const { grouped } = groupPayload(data);
+      const { recordCount } = await insertRows(client, CLIENT_ID, grouped);
+      return recordCount;
+    });
+
+    const deltaCount = (result) =>
+      result.inserted + result.updated + result.unchanged;
+    await time("delta new", client, async () =>
+      deltaCount(
+        await applyDelta(client, CLIENT_ID, groupPayload(data).grouped)
+      )
+    );
+    await time(
+      "delta mix",
+      client,
+      async () =>
+        deltaCount(
+          await applyDelta(
+            client,
+            CLIENT_ID,
+            groupPayload(changedRows(data)).grouped
+          )
+        ),
+      () => insertRows(client, CLIENT_ID, groupPayload(data).grouped)
+    );
+  } finally {
+    await client.query("ROLLBACK");
+    client.release();
+    await dbService.pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
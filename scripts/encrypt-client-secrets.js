@@ -0,0 +1,77 @@
+// scripts/encrypt-client-secrets.js
+// Encrypt client and webhook secrets still stored in plain text, and rewrap
+// those encrypted with an older master key with the active one. Run it once
+// after upgrading, and again after adding a new key to the front of
+// SECRET_MASTER_KEYS; an older key can be removed once it reports nothing
+// left to update.
+//
+// Usage: node scripts/encrypt-client-secrets.js
+const dbService = require("../services/dbService");
+const {
+  CLIENT_SECRET_COLUMNS,
+  loadMasterKeys,
+  isCurrent,
+  rewrapSecret,
+} = require("../utils/secrets");
+
+// Tables holding encrypted secrets: the column identifying a row, the
+// secret columns, and what a row is called in the report
+const SECRET_TABLES = [
+  {
+    table: "sync_users",
+    id: "client_id",
+    columns: CLIENT_SECRET_COLUMNS,
+    noun: "client",
+  },
+  { table: "webhooks", id: "id", columns: ["secret"], noun: "webhook" },
+];
+
+// Bring one table's stale secrets up to date. Returns the rows updated.
+async function updateTable(client, { table, id, columns }) {
+  const result = await client.query(
+    `SELECT ${id}, ${columns.join(", ")}
+       FROM ${table} ORDER BY ${id} FOR UPDATE`
+  );
+
+  let count = 0;
+  for (const row of result.rows) {
+    const stale = columns.filter((column) => !isCurrent(row[column]));
+    if (stale.length === 0) continue;
+
+    await client.query(
+      `UPDATE ${table}
+          SET ${stale.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+        WHERE ${id} = $1`,
+      [row[id], ...stale.map((column) => rewrapSecret(row[column]))]
+    );
+    count++;
+  }
+  return count;
+}
+
+async function main() {
+  const { activeId } = loadMasterKeys();
+
+  const updated = await dbService.transaction(async (client) => {
+    const counts = [];
+    for (const table of SECRET_TABLES) {
+      counts.push([table.noun, await updateTable(client, table)]);
+    }
+    return counts.filter(([, count]) => count > 0);
+  });
+
+  console.log(
+    updated.length > 0
+      ? `Updated the secrets of ${updated
+          .map(([noun, count]) => `${count} ${noun}(s)`)
+          .join(" and ")} to master key "${activeId}"`
+      : `All secrets already use master key "${activeId}"`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => dbService.pool.end());
@@ -0,0 +1,57 @@
+// scripts/migrate.js
+// Usage:
+//   node scripts/migrate.js up [targetVersion]
+//   node scripts/migrate.js down [steps]
+//   node scripts/migrate.js status
+const dbService = require("../services/dbService");
+const migrationService = require("../services/migrationService");
+
+async function main() {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up": {
+      const applied = await migrationService.migrateUp(
+        arg ? Number(arg) : Infinity
+      );
+      console.log(
+        applied.length
+          ? `Applied: ${applied.join(", ")}`
+          : "Database is already up to date"
+      );
+      break;
+    }
+    case "down": {
+      const reverted = await migrationService.migrateDown(
+        arg ? Number(arg) : 1
+      );
+      console.log(
+        reverted.length
+          ? `Reverted: ${reverted.join(", ")}`
+          : "No migrations to revert"
+      );
+      break;
+    }
+    case "status": {
+      for (const migration of await migrationService.status()) {
+        console.log(
+          `${migration.appliedAt ? "applied" : "pending"}  ${migration.name}${
+            migration.appliedAt
+              ? `  (${new Date(migration.appliedAt).toISOString()})`
+              : ""
+          }`
+        );
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (use up, down or status)`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => dbService.pool.end());
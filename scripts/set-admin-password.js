@@ -0,0 +1,49 @@
+// scripts/set-admin-password.js
+// Create a superadmin account, or reset an existing admin's password, directly
+// in the database. Any active session for that admin is ended.
+//
+// Usage: node scripts/set-admin-password.js <username> [password]
+// A random password is generated and printed when none is given.
+const crypto = require("crypto");
+const dbService = require("../services/dbService");
+const { MIN_PASSWORD_LENGTH, hashPassword } = require("../utils/passwords");
+
+async function main() {
+  const [username, givenPassword] = process.argv.slice(2);
+  if (!username) {
+    throw new Error(
+      "Usage: node scripts/set-admin-password.js <username> [password]"
+    );
+  }
+
+  const password =
+    givenPassword || crypto.randomBytes(12).toString("base64url");
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  const result = await dbService.query(
+    `INSERT INTO sync_admin (username, password, role)
+     VALUES ($1, $2, 'superadmin')
+     ON CONFLICT (username) DO UPDATE
+       SET password = EXCLUDED.password,
+           access_token = NULL,
+           updated_at = NOW()
+     RETURNING (xmax = 0) AS created`,
+    [username, await hashPassword(password)]
+  );
+
+  console.log(
+    `${result.rows[0].created ? "Created" : "Reset password for"} admin "${username}"`
+  );
+  if (!givenPassword) console.log(`Password: ${password}`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => dbService.pool.end());
@@ -0,0 +1,54 @@
+// scripts/webhook-receiver.js
+// Local stand-in for a webhook receiver. Prints every delivery and whether
+// its signature is valid. Use it to try webhooks without a real consumer.
+//
+// Usage: node scripts/webhook-receiver.js <port> <secret> [failFirst]
+// The first `failFirst` requests are answered with HTTP 500 to exercise
+// retries. Register http://localhost:<port>/ as the webhook URL.
+const http = require("http");
+const crypto = require("crypto");
+
+const [port, secret, failFirst = "0"] = process.argv.slice(2);
+if (!port || !secret) {
+  console.error(
+    "Usage: node scripts/webhook-receiver.js <port> <secret> [failFirst]"
+  );
+  process.exit(1);
+}
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    received++;
+    const body = Buffer.concat(chunks).toString();
+    const timestamp = req.headers["x-webhook-timestamp"];
+    const expected = `sha256=${crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")}`;
+    const signature = String(req.headers["x-webhook-signature"]);
+    const valid =
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    const failing = received <= Number(failFirst);
+    console.log(
+      `#${received} ${req.headers["x-webhook-event"]} delivery ${
+        req.headers["x-webhook-delivery"]
+      } signature ${valid ? "valid" : "INVALID"}${
+        failing ? " -> responding 500" : ""
+      }`
+    );
+    console.log(body);
+
+    res.writeHead(failing ? 500 : valid ? 200 : 401);
+    res.end();
+  });
+});
+
+server.listen(Number(port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
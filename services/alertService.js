@@ -0,0 +1,249 @@
+// services/alertService.js
+// Alert rules and the scheduler job that evaluates them.
+//
+// Each rule type lists its parameters and a `find` query returning the
+// clients that currently break the rule. Evaluation opens an alert for each
+// such client and resolves open alerts for clients that have recovered.
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+
+// Arbitrary key for the advisory lock that keeps two server processes from
+// evaluating rules at the same time
+const ALERT_LOCK_KEY = 724106;
+
+// Limits the rule to one client when the rule has a client_id. `$1` is always
+// the rule's client_id in the queries below.
+const CLIENT_FILTER = "($1::text IS NULL OR u.client_id = $1)";
+
+const RULE_TYPES = {
+  // No SUCCESS log for `hours` hours. New clients count from when they were
+  // created.
+  NO_SUCCESS: {
+    params: { hours: { min: 1, required: true } },
+    async find(db, rule) {
+      const result = await db.query(
+        `SELECT u.client_id, MAX(l.sync_date) AS last_success_at
+           FROM sync_users u
+           LEFT JOIN sync_logs l
+             ON l.client_id = u.client_id AND l.status = 'SUCCESS'
+          WHERE ${CLIENT_FILTER}
+          GROUP BY u.client_id, u.created_at
+         HAVING COALESCE(MAX(l.sync_date), u.created_at)
+                < LOCALTIMESTAMP - make_interval(secs => $2 * 3600)`,
+        [rule.client_id, rule.params.hours]
+      );
+      return result.rows.map((row) => ({
+        client_id: row.client_id,
+        message: row.last_success_at
+          ? `No successful sync for more than ${rule.params.hours} hours`
+          : `No successful sync since the client was created, more than ${rule.params.hours} hours ago`,
+        details: { last_success_at: row.last_success_at },
+      }));
+    },
+  },
+
+  // The last `runs` syncs were all PARTIAL or FAILED
+  CONSECUTIVE_FAILURES: {
+    params: { runs: { min: 1, integer: true, required: true } },
+    async find(db, rule) {
+      const result = await db.query(
+        `SELECT u.client_id, array_agg(recent.status) AS statuses
+           FROM sync_users u
+          CROSS JOIN LATERAL (
+            SELECT status FROM sync_logs
+             WHERE client_id = u.client_id
+             ORDER BY sync_date DESC, id DESC
+             LIMIT $2
+          ) recent
+          WHERE ${CLIENT_FILTER}
+          GROUP BY u.client_id
+         HAVING COUNT(*) = $2
+            AND bool_and(recent.status IN ('PARTIAL', 'FAILED'))`,
+        [rule.client_id, rule.params.runs]
+      );
+      return result.rows.map((row) => ({
+        client_id: row.client_id,
+        message: `The last ${rule.params.runs} syncs were partial or failed`,
+        details: { statuses: row.statuses },
+      }));
+    },
+  },
+
+  // The latest sync's records_synced is more than `percent`% below the
+  // average of the `window` syncs before it
+  RECORD_DROP: {
+    params: {
+      percent: { min: 1, max: 100, required: true },
+      window: { min: 1, integer: true, default: 10 },
+    },
+    async find(db, rule) {
+      const result = await db.query(
+        `SELECT u.client_id, latest.records_synced AS latest_records,
+                ROUND(AVG(previous.records_synced), 2)::float8 AS average_records
+           FROM sync_users u
+          CROSS JOIN LATERAL (
+            SELECT id, sync_date, records_synced FROM sync_logs
+             WHERE client_id = u.client_id AND records_synced IS NOT NULL
+             ORDER BY sync_date DESC, id DESC
+             LIMIT 1
+          ) latest
+          CROSS JOIN LATERAL (
+            SELECT records_synced FROM sync_logs
+             WHERE client_id = u.client_id AND records_synced IS NOT NULL
+               AND (sync_date, id) < (latest.sync_date, latest.id)
+             ORDER BY sync_date DESC, id DESC
+             LIMIT $2
+          ) previous
+          WHERE ${CLIENT_FILTER}
+          GROUP BY u.client_id, latest.records_synced
+         HAVING COUNT(*) = $2
+            AND latest.records_synced
+                < AVG(previous.records_synced) * (1 - $3::numeric / 100)`,
+        [rule.client_id, rule.params.window, rule.params.percent]
+      );
+      return result.rows.map((row) => ({
+        client_id: row.client_id,
+        message: `Latest sync had ${row.latest_records} records, more than ${rule.params.percent}% below the recent average of ${row.average_records}`,
+        details: {
+          latest_records: row.latest_records,
+          average_records: row.average_records,
+        },
+      }));
+    },
+  },
+};
+
+// Check a rule's type and params. Returns { error } or { params } with
+// defaults filled in.
+function validateRule(type, params = {}) {
+  const ruleType = RULE_TYPES[type];
+  if (!ruleType) {
+    return {
+      error: `type must be one of: ${Object.keys(RULE_TYPES).join(", ")}`,
+    };
+  }
+  if (typeof params !== "object" || params === null || Array.isArray(params)) {
+    return { error: "params must be an object" };
+  }
+
+  const normalized = {};
+  for (const [name, spec] of Object.entries(ruleType.params)) {
+    const value = params[name] === undefined ? spec.default : params[name];
+    if (value === undefined) {
+      if (spec.required) return { error: `params.${name} is required` };
+      continue;
+    }
+    if (
+      typeof value !== "number" ||
+      !Number.isFinite(value) ||
+      (spec.integer && !Number.isInteger(value)) ||
+      value < spec.min ||
+      (spec.max !== undefined && value > spec.max)
+    ) {
+      const kind = spec.integer ? "an integer" : "a number";
+      const range =
+        spec.max !== undefined
+          ? `from ${spec.min} to ${spec.max}`
+          : `of at least ${spec.min}`;
+      return { error: `params.${name} must be ${kind} ${range}` };
+    }
+    normalized[name] = value;
+  }
+
+  const unknown = Object.keys(params).find((name) => !ruleType.params[name]);
+  if (unknown) return { error: `Unknown parameter for ${type}: ${unknown}` };
+
+  return { params: normalized };
+}
+
+// Evaluate one rule: open or refresh alerts for clients that break it and
+// resolve the rule's other open alerts. Returns the alerts opened.
+async function evaluateRule(client, rule) {
+  const triggered = await RULE_TYPES[rule.type].find(client, rule);
+  const opened = [];
+
+  for (const alert of triggered) {
+    const result = await client.query(
+      `INSERT INTO alerts (rule_id, client_id, message, details)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (rule_id, client_id) WHERE status = 'OPEN'
+       DO UPDATE SET message = EXCLUDED.message,
+                     details = EXCLUDED.details,
+                     last_seen_at = NOW()
+       RETURNING id, (xmax = 0) AS inserted`,
+      [rule.id, alert.client_id, alert.message, JSON.stringify(alert.details)]
+    );
+    if (result.rows[0].inserted) {
+      opened.push({ id: result.rows[0].id, rule, ...alert });
+    }
+  }
+
+  const resolved = await client.query(
+    `UPDATE alerts SET status = 'RESOLVED', resolved_at = NOW()
+      WHERE rule_id = $1 AND status = 'OPEN'
+        AND NOT (client_id = ANY($2::text[]))`,
+    [rule.id, triggered.map((alert) => alert.client_id)]
+  );
+
+  return { opened, resolved: resolved.rowCount };
+}
+
+// Evaluate every enabled rule. Scheduled from index.js; errors are logged,
+// not thrown. Returns the alerts opened, or null if another process holds
+// the evaluation lock.
+async function evaluateAlertRules() {
+  try {
+    const summary = await dbService.transaction(async (client) => {
+      const lock = await client.query(
+        "SELECT pg_try_advisory_xact_lock($1) AS locked",
+        [ALERT_LOCK_KEY]
+      );
+      if (!lock.rows[0].locked) return null;
+
+      // Alerts of disabled rules are closed rather than left open forever
+      const closed = await client.query(
+        `UPDATE alerts SET status = 'RESOLVED', resolved_at = NOW()
+          WHERE status = 'OPEN'
+            AND rule_id IN (SELECT id FROM alert_rules WHERE NOT enabled)`
+      );
+
+      const rules = await client.query(
+        "SELECT id, name, type, params, client_id FROM alert_rules WHERE enabled ORDER BY id"
+      );
+
+      const opened = [];
+      let resolved = closed.rowCount;
+      for (const rule of rules.rows) {
+        const result = await evaluateRule(client, rule);
+        opened.push(...result.opened);
+        resolved += result.resolved;
+      }
+      return { opened, resolved };
+    });
+
+    if (!summary) return null;
+
+    for (const alert of summary.opened) {
+      logger.warn(
+        `Alert opened for client ${alert.client_id}: ${alert.message}`,
+        {
+          alertId: alert.id,
+          rule: alert.rule.name,
+        }
+      );
+    }
+    if (summary.resolved > 0) {
+      logger.info(`Resolved ${summary.resolved} alert(s)`);
+    }
+    return summary.opened;
+  } catch (error) {
+    logger.error(`Error evaluating alert rules: ${error.message}`, { error });
+    return null;
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  validateRule,
+  evaluateAlertRules,
+};
@@ -0,0 +1,79 @@
+// services/auditService.js
+const logger = require("../utils/logger");
+
+// Fields whose values never appear in the audit trail; only the fact that
+// they changed is recorded
+const SECRET_FIELDS = [
+  "password",
+  "db_password",
+  "access_token",
+  "pass",
+  "secret",
+  "signing_secret",
+];
+
+const REDACTED = "[REDACTED]";
+
+// Field-by-field { field: { from, to } } diff of two row snapshots. Either
+// side may be null for records that were created or deleted.
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = SECRET_FIELDS.includes(field)
+      ? {
+          from: from == null ? null : REDACTED,
+          to: to == null ? null : REDACTED,
+        }
+      : {
+          from: from === undefined ? null : from,
+          to: to === undefined ? null : to,
+        };
+  }
+
+  return changes;
+}
+
+// Record an admin action. Pass the transaction client that made the change so
+// the entry is committed or rolled back together with it.
+// `targetAdminId` identifies the account changed by admin management actions.
+async function recordAudit(
+  db,
+  req,
+  { action, clientId, targetAdminId, before, after }
+) {
+  const changes = diff(before, after);
+
+  await db.query(
+    `INSERT INTO admin_audit
+       (admin_id, admin_username, action, client_id, target_admin_id, ip,
+        changes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      req.adminId || null,
+      req.adminUsername || null,
+      action,
+      clientId || null,
+      targetAdminId || null,
+      req.ip || null,
+      JSON.stringify(changes),
+    ]
+  );
+
+  logger.info(`Audit: ${action}`, {
+    adminId: req.adminId,
+    clientId,
+    targetAdminId,
+    fields: Object.keys(changes),
+  });
+}
+
+module.exports = { SECRET_FIELDS, REDACTED, diff, recordAudit };
@@ -101,9 +101,44 @@ async function transaction(callback) {
   }
 }
 
+// Run `callback` in a transaction that is always rolled back, to preview
+// changes without keeping them
+async function previewTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    return await callback(client);
+  } finally {
+    await client.query("ROLLBACK");
+    client.release();
+  }
+}
+
+// Insert many rows with a single multi-row INSERT. `table`, `columns` and
+// `suffix`, such as an ON CONFLICT clause, are interpolated into the SQL, so
+// they must never come from user input.
+async function bulkInsert(client, table, columns, rows, suffix = "") {
+  const params = [];
+  const tuples = rows.map((row) => {
+    const placeholders = row.map((value) => {
+      params.push(value);
+      return `$${params.length}`;
+    });
+    return `(${placeholders.join(", ")})`;
+  });
+
+  return client.query(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${tuples.join(", ")}
+     ${suffix}`,
+    params
+  );
+}
+
 module.exports = {
   getClient,
   query,
   transaction,
+  previewTransaction,
+  bulkInsert,
   pool,
 };
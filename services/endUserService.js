@@ -0,0 +1,158 @@
+// services/endUserService.js
+// Logins for a client's end users, checked against the synced acc_users
+// rows. A successful login returns a short-lived JWT for reading that
+// client's data; repeated failures lock the user ID for a while.
+const jwt = require("jsonwebtoken");
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+const {
+  hashPassword,
+  isHashed,
+  verifyPassword,
+} = require("../utils/passwords");
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Tells end-user tokens apart from admin session tokens signed with the
+// same secret
+const TOKEN_AUDIENCE = "client-data";
+
+const TOKEN_TTL_MINUTES = Number(process.env.END_USER_TOKEN_TTL_MINUTES) || 15;
+const MAX_FAILED_LOGINS = Number(process.env.END_USER_MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = Number(process.env.END_USER_LOCKOUT_MINUTES) || 15;
+
+// Count a failed login, locking the user ID once it reaches
+// MAX_FAILED_LOGINS. Failures older than LOCKOUT_MINUTES are forgotten.
+async function recordFailure(clientId, userId) {
+  const result = await dbService.query(
+    `INSERT INTO end_user_login_failures AS f
+       (client_id, user_id, failed_attempts)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (client_id, user_id) DO UPDATE
+        SET failed_attempts = CASE
+              WHEN f.last_failed_at < LOCALTIMESTAMP - make_interval(mins => $3)
+                OR f.locked_until <= LOCALTIMESTAMP
+              THEN 1
+              ELSE f.failed_attempts + 1
+            END,
+            last_failed_at = NOW(),
+            locked_until = CASE
+              WHEN f.locked_until > LOCALTIMESTAMP THEN f.locked_until
+            END
+     RETURNING failed_attempts`,
+    [clientId, userId, LOCKOUT_MINUTES]
+  );
+
+  if (result.rows[0].failed_attempts >= MAX_FAILED_LOGINS) {
+    await dbService.query(
+      `UPDATE end_user_login_failures
+          SET locked_until = NOW() + make_interval(mins => $3)
+        WHERE client_id = $1 AND user_id = $2`,
+      [clientId, userId, LOCKOUT_MINUTES]
+    );
+    logger.warn("End-user login locked after repeated failures", {
+      clientId,
+      userId,
+    });
+  }
+}
+
+// Seconds until a locked user ID may try again, or 0 when it is not locked
+async function lockedForSeconds(clientId, userId) {
+  const result = await dbService.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - LOCALTIMESTAMP))::int
+              AS seconds
+       FROM end_user_login_failures
+      WHERE client_id = $1 AND user_id = $2
+        AND locked_until > LOCALTIMESTAMP`,
+    [clientId, userId]
+  );
+  return result.rowCount ? Math.max(result.rows[0].seconds, 1) : 0;
+}
+
+// Delete failure counts that no longer count towards a lockout. Failures
+// are recorded for any user ID tried, whether or not it exists, so that
+// lockouts do not reveal which IDs exist; this keeps the table from
+// growing with them. Errors are logged, not thrown.
+async function cleanupLoginFailures() {
+  try {
+    const result = await dbService.query(
+      `DELETE FROM end_user_login_failures
+        WHERE last_failed_at < LOCALTIMESTAMP - make_interval(mins => $1)
+          AND (locked_until IS NULL OR locked_until <= LOCALTIMESTAMP)`,
+      [LOCKOUT_MINUTES]
+    );
+    if (result.rowCount > 0) {
+      logger.info(
+        `Removed ${result.rowCount} expired end-user login failure(s)`
+      );
+    }
+  } catch (error) {
+    logger.error(
+      `Error cleaning up end-user login failures: ${error.message}`,
+      {
+        error,
+      }
+    );
+  }
+}
+
+// Check an end user's password and return { token, expiresIn }. Throws
+// "Invalid credentials", or "Too many failed logins" with `retryAfter`
+// seconds set on the error.
+async function loginEndUser(clientId, userId, password) {
+  const retryAfter = await lockedForSeconds(clientId, userId);
+  if (retryAfter > 0) {
+    const error = new Error("Too many failed logins");
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  const result = await dbService.query(
+    `SELECT u.pass FROM sync_users s
+       LEFT JOIN acc_users u ON u.client_id = s.client_id AND u.id = $2
+      WHERE s.client_id = $1`,
+    [clientId, userId]
+  );
+  if (result.rowCount === 0) throw new Error("Invalid credentials");
+  const stored = result.rows[0].pass;
+
+  if (!stored || !(await verifyPassword(password, stored))) {
+    await recordFailure(clientId, userId);
+    throw new Error("Invalid credentials");
+  }
+
+  await dbService.query(
+    "DELETE FROM end_user_login_failures WHERE client_id = $1 AND user_id = $2",
+    [clientId, userId]
+  );
+
+  // Rows synced before passwords were hashed are upgraded on login
+  if (!isHashed(stored)) {
+    await dbService.query(
+      "UPDATE acc_users SET pass = $3 WHERE client_id = $1 AND id = $2",
+      [clientId, userId, await hashPassword(password)]
+    );
+    logger.info("Upgraded plain-text end-user password", { clientId, userId });
+  }
+
+  const expiresIn = TOKEN_TTL_MINUTES * 60;
+  const token = jwt.sign({ clientId, userId }, JWT_SECRET, {
+    audience: TOKEN_AUDIENCE,
+    subject: userId,
+    expiresIn,
+  });
+  return { token, expiresIn };
+}
+
+// Payload of a valid end-user token. Throws when the token is invalid or
+// expired.
+function verifyEndUserToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: TOKEN_AUDIENCE });
+}
+
+module.exports = {
+  loginEndUser,
+  cleanupLoginFailures,
+  verifyEndUserToken,
+};
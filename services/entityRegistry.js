@@ -0,0 +1,430 @@
+// services/entityRegistry.js
+// Declarative registry of the tables clients can sync into.
+//
+// Each entity names its target table, the key columns that identify a row
+// within one client, and the payload field aliases and type of every column.
+// `maxLength` matches the column size. Fields marked `hashed` are stored as
+// password hashes.
+// To sync a new table, add a migration creating it with a `client_id` column
+// and a unique index on (keys..., client_id), then add an entry here.
+const ENTITIES = {
+  acc_master: {
+    table: "acc_master",
+    keys: ["code"],
+    fields: {
+      code: {
+        aliases: ["CODE", "code"],
+        type: "string",
+        required: true,
+        maxLength: 50,
+      },
+      name: { aliases: ["NAME", "name"], type: "string", maxLength: 255 },
+      address: { aliases: ["ADDRESS", "address"], type: "string" },
+      place: {
+        aliases: ["PLACE", "place", "BRANCH", "branch"],
+        type: "string",
+        maxLength: 255,
+      },
+      super_code: {
+        aliases: ["SUPERCODE", "super_code", "SUPER_CODE"],
+        type: "string",
+        maxLength: 50,
+      },
+    },
+  },
+  acc_users: {
+    table: "acc_users",
+    keys: ["id"],
+    fields: {
+      id: {
+        aliases: ["ID", "id"],
+        type: "string",
+        required: true,
+        maxLength: 50,
+      },
+      // End-user password, stored as a scrypt hash
+      pass: {
+        aliases: ["PASS", "pass"],
+        type: "string",
+        required: true,
+        hashed: true,
+      },
+    },
+  },
+};
+
+// Entities that rows in the legacy flat `data` array are matched against, in
+// order: the first entity whose required fields are all present wins
+const LEGACY_ENTITIES = ["acc_users", "acc_master"];
+
+// Type coercions applied to non-empty field values
+const COERCIONS = {
+  string: (value) => {
+    if (typeof value === "object") throw new Error("expected a string");
+    return String(value);
+  },
+  integer: (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number)) throw new Error("expected an integer");
+    return number;
+  },
+  number: (value) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error("expected a number");
+    return number;
+  },
+  boolean: (value) => {
+    if (["true", "1", "yes", "y"].includes(String(value).toLowerCase())) {
+      return true;
+    }
+    if (["false", "0", "no", "n"].includes(String(value).toLowerCase())) {
+      return false;
+    }
+    throw new Error("expected a boolean");
+  },
+  date: (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error("expected a date");
+    return date.toISOString();
+  },
+};
+
+function getEntity(name) {
+  return Object.prototype.hasOwnProperty.call(ENTITIES, name)
+    ? ENTITIES[name]
+    : undefined;
+}
+
+function entityNames() {
+  return Object.keys(ENTITIES);
+}
+
+// Table columns written for an entity, excluding client_id
+function columnsOf(entity) {
+  return Object.keys(entity.fields);
+}
+
+// Columns whose values are stored as password hashes instead of as received
+function hashedColumnsOf(entity) {
+  return Object.keys(entity.fields).filter(
+    (column) => entity.fields[column].hashed
+  );
+}
+
+// Copy of a payload row without its hashed fields, under any alias, so
+// passwords are kept out of logs and row error reports
+function withoutSecrets(entity, row) {
+  if (!isRowObject(row)) return row;
+  const copy = { ...row };
+  for (const column of hashedColumnsOf(entity)) {
+    for (const alias of entity.fields[column].aliases) delete copy[alias];
+  }
+  return copy;
+}
+
+// First non-empty value among a field's aliases, or null
+function pickField(field, row) {
+  for (const alias of field.aliases) {
+    const value = row[alias];
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return null;
+}
+
+// Reason given for a required field without a value
+const MISSING_FIELD = "required field is missing";
+
+// Coerce one field's value to its type and check its length. Returns
+// { value }, or { issue: { field, reason } } when the value is missing but
+// required, cannot be coerced or is too long.
+function checkField(column, field, value) {
+  if (value === undefined || value === null || value === "") {
+    return field.required
+      ? { issue: { field: column, reason: MISSING_FIELD } }
+      : { value: null };
+  }
+
+  let coerced;
+  try {
+    coerced = COERCIONS[field.type || "string"](value);
+  } catch (error) {
+    return { issue: { field: column, reason: error.message } };
+  }
+
+  if (
+    field.maxLength &&
+    typeof coerced === "string" &&
+    coerced.length > field.maxLength
+  ) {
+    return {
+      issue: {
+        field: column,
+        reason: `longer than ${field.maxLength} characters`,
+      },
+    };
+  }
+  return { value: coerced };
+}
+
+// Resolve a payload row into { column: value } for an entity, and list each
+// field that is missing, cannot be coerced to its type or is too long as
+// { field, reason }
+function checkRow(entity, row) {
+  const values = {};
+  const issues = [];
+
+  for (const [column, field] of Object.entries(entity.fields)) {
+    const { value, issue } = checkField(column, field, pickField(field, row));
+    if (issue) issues.push(issue);
+    else values[column] = value;
+  }
+
+  return { values, issues };
+}
+
+// Resolve a payload row into { column: value } for an entity. Throws on the
+// first problem checkRow finds.
+function normalizeRow(entity, row) {
+  const { values, issues } = checkRow(entity, row);
+  if (issues.length > 0) {
+    const { field, reason } = issues[0];
+    throw new Error(
+      reason === MISSING_FIELD
+        ? `Missing required field: ${field}`
+        : `Invalid value for ${field}: ${reason}`
+    );
+  }
+  return values;
+}
+
+// Name of the legacy entity a flat `data` row belongs to, or null
+function matchLegacyEntity(row) {
+  if (!isRowObject(row)) return null;
+  return (
+    LEGACY_ENTITIES.find((name) =>
+      Object.entries(ENTITIES[name].fields).every(
+        ([, field]) => !field.required || pickField(field, row) !== null
+      )
+    ) || null
+  );
+}
+
+// Payload rows must be plain JSON objects
+function isRowObject(row) {
+  return typeof row === "object" && row !== null && !Array.isArray(row);
+}
+
+// Describe what is wrong with a sync payload's `data`/`entities`, or return
+// null when it is usable
+function payloadError(data, entities) {
+  if (data !== undefined && entities !== undefined) {
+    return "Send either data or entities, not both";
+  }
+  if (entities === undefined) {
+    return Array.isArray(data) ? null : "Missing required fields";
+  }
+  if (typeof entities !== "object" || entities === null) {
+    return "entities must map entity names to arrays of rows";
+  }
+  for (const [name, rows] of Object.entries(entities)) {
+    if (!getEntity(name)) return `Unknown entity: ${name}`;
+    if (!Array.isArray(rows)) return `entities.${name} must be an array`;
+  }
+  return null;
+}
+
+// Describe what is wrong with a delta's `deleted` keys, or return null when
+// they are usable or absent
+function deletedError(deleted) {
+  if (
+    deleted !== undefined &&
+    (typeof deleted !== "object" ||
+      deleted === null ||
+      Object.entries(deleted).some(
+        ([name, keys]) => !getEntity(name) || !Array.isArray(keys)
+      ))
+  ) {
+    return "deleted must map entity names to arrays of keys";
+  }
+  return null;
+}
+
+// Check the keys listed in a delta's `deleted`, which deletedError found
+// usable, against their entities' key fields as checkRow checks a row's.
+// Single-key entities take plain values; composite keys are objects of key
+// columns. Returns the keys with their values coerced, in the same shape,
+// and one issue per problem as { entity, index, field, reason }, `index`
+// being the key's position in its list.
+function checkDeleted(deleted = {}) {
+  const keys = {};
+  const issues = [];
+
+  for (const [name, list] of Object.entries(deleted)) {
+    const entity = ENTITIES[name];
+    const single = entity.keys.length === 1;
+    keys[name] = [];
+
+    list.forEach((key, index) => {
+      if (!single && !isRowObject(key)) {
+        issues.push({
+          entity: name,
+          index,
+          field: null,
+          reason: `key must be an object of ${entity.keys.join(", ")}`,
+        });
+        return;
+      }
+
+      const values = {};
+      let valid = true;
+      for (const column of entity.keys) {
+        const { value, issue } = checkField(
+          column,
+          entity.fields[column],
+          single ? key : key[column]
+        );
+        if (issue) {
+          issues.push({ entity: name, index, ...issue });
+          valid = false;
+        }
+        values[column] = value;
+      }
+      if (valid) keys[name].push(single ? values[entity.keys[0]] : values);
+    });
+  }
+
+  return { deleted: keys, issues };
+}
+
+// Turn a payload into rows grouped by entity name. A legacy `data` array is
+// sorted by matchLegacyEntity; rows matching no entity are counted as skipped.
+function groupPayload(data, entities) {
+  if (entities !== undefined) return { grouped: entities, skipped: 0 };
+
+  const grouped = Object.fromEntries(LEGACY_ENTITIES.map((name) => [name, []]));
+  let skipped = 0;
+
+  for (const row of data) {
+    const name = matchLegacyEntity(row);
+    if (name) grouped[name].push(row);
+    else skipped++;
+  }
+
+  return { grouped, skipped };
+}
+
+// validatePayload's checks for rows taken one at a time, such as from a
+// streamed upload. The returned check(name, row, index) gives the name of
+// the row's entity and the row's issues as { entity, index, field, reason },
+// none for a valid row. Pass a null name for a legacy `data` row, to match
+// it with matchLegacyEntity first. Only the keys of accepted rows are kept,
+// to spot repeated keys.
+function rowValidator() {
+  const seen = {};
+
+  return function check(name, row, index) {
+    if (name === null) {
+      name = matchLegacyEntity(row);
+      if (!name) {
+        const reason = isRowObject(row)
+          ? "row matches no sync entity"
+          : "row must be an object";
+        return {
+          name,
+          issues: [{ entity: null, index, field: null, reason }],
+        };
+      }
+    }
+
+    if (!isRowObject(row)) {
+      return {
+        name,
+        issues: [
+          { entity: name, index, field: null, reason: "row must be an object" },
+        ],
+      };
+    }
+
+    const entity = ENTITIES[name];
+    const checked = checkRow(entity, row);
+    if (checked.issues.length > 0) {
+      return {
+        name,
+        issues: checked.issues.map(({ field, reason }) => ({
+          entity: name,
+          index,
+          field,
+          reason,
+        })),
+      };
+    }
+
+    const key = JSON.stringify(
+      entity.keys.map((column) => checked.values[column])
+    );
+    if (!seen[name]) seen[name] = new Map();
+    if (seen[name].has(key)) {
+      return {
+        name,
+        issues: [
+          {
+            entity: name,
+            index,
+            field: entity.keys.join(", "),
+            reason: `duplicate key, first sent at index ${seen[name].get(key)}`,
+          },
+        ],
+      };
+    }
+
+    seen[name].set(key, index);
+    return { name, issues: [] };
+  };
+}
+
+// Check every row of a payload before anything is written: rows must be
+// objects with their required fields, values must fit their types and column
+// sizes, and a key may appear only once per entity. Returns the valid rows
+// grouped by entity, like groupPayload, and one issue per problem as
+// { entity, index, field, reason }. `index` is the row's position in `data`,
+// or in its list in `entities`. Of rows sharing a key, the first is kept.
+function validatePayload(data, entities) {
+  const check = rowValidator();
+  const issues = [];
+  const lists =
+    entities !== undefined ? Object.entries(entities) : [[null, data]];
+  const grouped = Object.fromEntries(
+    (entities !== undefined ? Object.keys(entities) : LEGACY_ENTITIES).map(
+      (name) => [name, []]
+    )
+  );
+
+  for (const [listName, rows] of lists) {
+    rows.forEach((row, index) => {
+      const { name, issues: rowIssues } = check(listName, row, index);
+      if (rowIssues.length === 0) grouped[name].push(row);
+      else issues.push(...rowIssues);
+    });
+  }
+
+  return { grouped, issues };
+}
+
+module.exports = {
+  ENTITIES,
+  LEGACY_ENTITIES,
+  getEntity,
+  entityNames,
+  columnsOf,
+  hashedColumnsOf,
+  withoutSecrets,
+  normalizeRow,
+  matchLegacyEntity,
+  payloadError,
+  deletedError,
+  checkDeleted,
+  isRowObject,
+  rowValidator,
+  groupPayload,
+  validatePayload,
+};
@@ -0,0 +1,139 @@
+// services/migrationService.js
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// Arbitrary key for the advisory lock that keeps two migrators from racing
+const MIGRATION_LOCK_KEY = 724105;
+
+// Migration files are named NNN_description.js and export up(client) and
+// down(client), both run inside a transaction
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .map((file) => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, ".js"),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query(
+    "SELECT version FROM schema_migrations ORDER BY version"
+  );
+  return result.rows.map((row) => row.version);
+}
+
+// Every known migration with whether and when it has been applied
+async function status() {
+  await ensureMigrationsTable(dbService);
+  const result = await dbService.query(
+    "SELECT version, applied_at FROM schema_migrations"
+  );
+  const applied = new Map(
+    result.rows.map((row) => [row.version, row.applied_at])
+  );
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) || null,
+  }));
+}
+
+async function pendingMigrations() {
+  const applied = await appliedVersions(dbService);
+  return loadMigrations().filter(({ version }) => !applied.includes(version));
+}
+
+// Apply pending migrations in order, up to and including `target` if given.
+// Each migration commits on its own, so a failure keeps the earlier ones.
+async function migrateUp(target = Infinity) {
+  const applied = [];
+
+  for (const migration of loadMigrations()) {
+    if (migration.version > target) break;
+
+    const ran = await dbService.transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock($1)", [
+        MIGRATION_LOCK_KEY,
+      ]);
+      if ((await appliedVersions(client)).includes(migration.version)) {
+        return false;
+      }
+
+      await migration.up(client);
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (ran) {
+      logger.info(`Applied migration ${migration.name}`);
+      applied.push(migration.name);
+    }
+  }
+
+  return applied;
+}
+
+// Revert the most recently applied `steps` migrations
+async function migrateDown(steps = 1) {
+  const migrations = loadMigrations();
+  const reverted = [];
+
+  for (let i = 0; i < steps; i++) {
+    const name = await dbService.transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock($1)", [
+        MIGRATION_LOCK_KEY,
+      ]);
+      const applied = await appliedVersions(client);
+      if (applied.length === 0) return null;
+
+      const version = applied[applied.length - 1];
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${version} not found`);
+      }
+
+      await migration.down(client);
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        version,
+      ]);
+      return migration.name;
+    });
+
+    if (!name) break;
+    logger.info(`Reverted migration ${name}`);
+    reverted.push(name);
+  }
+
+  return reverted;
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  pendingMigrations,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,214 @@
+// services/quotaService.js
+// Per-client limits on the sync API: requests per fixed window, records per
+// UTC day and payload size. Clients without their own limits get the
+// defaults below. Usage is counted in the database so every server process
+// shares it.
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+const { payloadError } = require("./entityRegistry");
+
+// Largest JSON body the server parses at all; per-client payload limits can
+// only be lower
+const BODY_LIMIT_BYTES = 50 * 1024 * 1024;
+
+const DEFAULT_LIMITS = {
+  requestsPerWindow: Number(process.env.SYNC_RATE_LIMIT_REQUESTS) || 100,
+  windowSeconds: Number(process.env.SYNC_RATE_LIMIT_WINDOW_SECONDS) || 60,
+  dailyRecords: Number(process.env.SYNC_DAILY_RECORD_QUOTA) || 5000000,
+  maxPayloadBytes: Math.min(
+    (Number(process.env.SYNC_MAX_PAYLOAD_MB) || 50) * 1024 * 1024,
+    BODY_LIMIT_BYTES
+  ),
+};
+
+// Limit fields and the sync_users columns overriding them
+const LIMIT_COLUMNS = {
+  requestsPerWindow: "rate_limit_requests",
+  windowSeconds: "rate_limit_window_seconds",
+  dailyRecords: "daily_record_quota",
+  maxPayloadBytes: "max_payload_bytes",
+};
+
+// Days of record usage kept for the admin API
+const USAGE_RETENTION_DAYS = 30;
+
+// The UTC day now, as YYYY-MM-DD, and the seconds until it ends
+function utcDay(now = Date.now()) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  const secondsLeft = Math.ceil(
+    (Date.parse(`${day}T00:00:00Z`) + 86400000 - now) / 1000
+  );
+  return { day, secondsLeft };
+}
+
+// The limits in force for a client, and the overrides set for it (null
+// where the default applies)
+async function getClientLimits(db, clientId) {
+  const result = await db.query(
+    `SELECT ${Object.values(LIMIT_COLUMNS).join(", ")}
+       FROM sync_users WHERE client_id = $1`,
+    [clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error(`No user found with client ID: ${clientId}`);
+  }
+
+  const limits = {};
+  const overrides = {};
+  for (const [field, column] of Object.entries(LIMIT_COLUMNS)) {
+    const value = result.rows[0][column];
+    overrides[field] = value === null ? null : Number(value);
+    limits[field] = value === null ? DEFAULT_LIMITS[field] : Number(value);
+  }
+  return { limits, overrides };
+}
+
+// Count a request in the client's current window. Returns the window's
+// request count and the seconds until it resets.
+async function countRequest(db, clientId, limits) {
+  const now = Date.now() / 1000;
+  const { windowSeconds } = limits;
+  const windowStart = Math.floor(now / windowSeconds) * windowSeconds;
+
+  const result = await db.query(
+    `INSERT INTO sync_request_counts
+       (client_id, window_start, window_seconds, requests)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (client_id, window_start, window_seconds)
+     DO UPDATE SET requests = sync_request_counts.requests + 1
+     RETURNING requests`,
+    [clientId, windowStart, windowSeconds]
+  );
+
+  return {
+    requests: result.rows[0].requests,
+    resetSeconds: Math.ceil(windowStart + windowSeconds - now),
+  };
+}
+
+// Records a sync payload carries: its rows plus any deleted keys. Invalid
+// payloads count as none, since the route rejects them anyway.
+function payloadRecordCount(body) {
+  const { data, entities, deleted } = body || {};
+  if (
+    (data === undefined && entities === undefined) ||
+    payloadError(data, entities)
+  ) {
+    return 0;
+  }
+
+  const sum = (lists) =>
+    Object.values(lists || {}).reduce(
+      (total, list) => total + (Array.isArray(list) ? list.length : 0),
+      0
+    );
+  const rows = entities !== undefined ? sum(entities) : data.length;
+  return rows + (deleted && typeof deleted === "object" ? sum(deleted) : 0);
+}
+
+// Add records to the client's usage for today unless that would exceed its
+// daily quota. Returns { accepted, records } where records is today's usage
+// and, when refused, the seconds until the quota resets.
+async function reserveRecords(db, clientId, count, limits) {
+  const { day, secondsLeft } = utcDay();
+
+  const result = await db.query(
+    `INSERT INTO sync_record_usage (client_id, day, records)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (client_id, day)
+     DO UPDATE SET records = sync_record_usage.records + EXCLUDED.records
+      WHERE sync_record_usage.records + EXCLUDED.records <= $4
+     RETURNING records`,
+    [clientId, day, count, limits.dailyRecords]
+  );
+  if (result.rowCount > 0) {
+    return { accepted: true, records: Number(result.rows[0].records) };
+  }
+
+  const usage = await db.query(
+    "SELECT records FROM sync_record_usage WHERE client_id = $1 AND day = $2",
+    [clientId, day]
+  );
+  return {
+    accepted: false,
+    records: Number(usage.rows[0].records),
+    retryAfter: secondsLeft,
+  };
+}
+
+// A client's limits and its usage in the current window and UTC day
+async function clientUsage(db, clientId) {
+  const { limits, overrides } = await getClientLimits(db, clientId);
+  const now = Date.now() / 1000;
+  const windowStart =
+    Math.floor(now / limits.windowSeconds) * limits.windowSeconds;
+  const { day } = utcDay();
+
+  const requests = await db.query(
+    `SELECT requests FROM sync_request_counts
+      WHERE client_id = $1 AND window_start = $2 AND window_seconds = $3`,
+    [clientId, windowStart, limits.windowSeconds]
+  );
+  const records = await db.query(
+    `SELECT day::text AS day, records FROM sync_record_usage
+      WHERE client_id = $1
+      ORDER BY day DESC
+      LIMIT 7`,
+    [clientId]
+  );
+  const today = records.rows.find((row) => row.day === day);
+
+  return {
+    limits,
+    overrides,
+    usage: {
+      requests: requests.rowCount > 0 ? requests.rows[0].requests : 0,
+      windowResetsAt: new Date(
+        (windowStart + limits.windowSeconds) * 1000
+      ).toISOString(),
+      recordsToday: today ? Number(today.records) : 0,
+      recentDays: records.rows.map((row) => ({
+        day: row.day,
+        records: Number(row.records),
+      })),
+    },
+  };
+}
+
+// Drop request windows that have ended and record usage older than
+// USAGE_RETENTION_DAYS
+async function cleanupQuotaUsage() {
+  try {
+    const windows = await dbService.query(
+      `DELETE FROM sync_request_counts
+        WHERE window_start + window_seconds < $1`,
+      [Math.floor(Date.now() / 1000)]
+    );
+    const days = await dbService.query(
+      `DELETE FROM sync_record_usage
+        WHERE day < CURRENT_DATE - $1::int`,
+      [USAGE_RETENTION_DAYS]
+    );
+    if (windows.rowCount + days.rowCount > 0) {
+      logger.info(
+        `Removed ${windows.rowCount} request window(s) and ${days.rowCount} day(s) of record usage`
+      );
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up quota usage: ${error.message}`, {
+      error,
+    });
+  }
+}
+
+module.exports = {
+  BODY_LIMIT_BYTES,
+  DEFAULT_LIMITS,
+  LIMIT_COLUMNS,
+  getClientLimits,
+  countRequest,
+  payloadRecordCount,
+  reserveRecords,
+  clientUsage,
+  cleanupQuotaUsage,
+};
@@ -0,0 +1,235 @@
+// services/snapshotService.js
+// Snapshots of a client's synced data, taken inside each sync's transaction
+// once the data has been written. The newest SNAPSHOT_RETENTION are kept per
+// client, so a bad sync can be compared with the data before it and undone.
+const logger = require("../utils/logger");
+const { clearClientData } = require("./syncService");
+const { SECRET_FIELDS, REDACTED, diff } = require("./auditService");
+const { getEntity, entityNames, columnsOf } = require("./entityRegistry");
+
+const SNAPSHOT_RETENTION = Number(process.env.DATA_SNAPSHOT_RETENTION) || 5;
+
+// SQL for an entity row's snapshot key: the key column itself, or a JSON
+// array of the key columns for composite keys
+function keySql(entity) {
+  return entity.keys.length === 1
+    ? `${entity.keys[0]}::text`
+    : `jsonb_build_array(${entity.keys.join(", ")})::text`;
+}
+
+// SQL for an entity row's snapshot data: its synced columns as JSON
+function dataSql(entity) {
+  return `jsonb_build_object(${columnsOf(entity)
+    .map((column) => `'${column}', ${column}`)
+    .join(", ")})`;
+}
+
+// Copy of a snapshot row's data with secret fields such as password hashes
+// redacted
+function redactRow(data) {
+  if (!data) return data;
+  return Object.fromEntries(
+    Object.entries(data).map(([field, value]) => [
+      field,
+      SECRET_FIELDS.includes(field) && value !== null ? REDACTED : value,
+    ])
+  );
+}
+
+// Snapshot every entity of a client as it is now, then drop the client's
+// snapshots beyond SNAPSHOT_RETENTION. Run it inside the transaction that
+// changed the data. Returns the new snapshot's ID.
+async function takeSnapshot(client, clientId, source, restoredFrom = null) {
+  const snapshot = await client.query(
+    `INSERT INTO data_snapshots (client_id, source, row_counts, restored_from)
+     VALUES ($1, $2, '{}', $3)
+     RETURNING id`,
+    [clientId, source, restoredFrom]
+  );
+  const snapshotId = snapshot.rows[0].id;
+
+  const rowCounts = {};
+  for (const name of entityNames()) {
+    const entity = getEntity(name);
+    const result = await client.query(
+      `INSERT INTO data_snapshot_rows (snapshot_id, entity, key, data)
+       SELECT $1, $2, ${keySql(entity)}, ${dataSql(entity)}
+         FROM ${entity.table} WHERE client_id = $3`,
+      [snapshotId, name, clientId]
+    );
+    rowCounts[name] = result.rowCount;
+  }
+
+  await client.query(
+    "UPDATE data_snapshots SET row_counts = $2 WHERE id = $1",
+    [snapshotId, JSON.stringify(rowCounts)]
+  );
+
+  const expired = await client.query(
+    `DELETE FROM data_snapshots
+      WHERE client_id = $1
+        AND id NOT IN (SELECT id FROM data_snapshots
+                        WHERE client_id = $1
+                        ORDER BY id DESC
+                        LIMIT $2)`,
+    [clientId, SNAPSHOT_RETENTION]
+  );
+
+  logger.info("Took data snapshot", {
+    clientId,
+    snapshotId,
+    source,
+    rowCounts,
+    expired: expired.rowCount,
+  });
+  return snapshotId;
+}
+
+// Throws unless the snapshot exists and belongs to the client
+async function ensureSnapshot(db, clientId, snapshotId) {
+  const result = await db.query(
+    "SELECT id FROM data_snapshots WHERE id = $1 AND client_id = $2",
+    [snapshotId, clientId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error(`No snapshot found with ID: ${snapshotId}`);
+  }
+}
+
+// Replace all of a client's synced data with a snapshot's rows, then take a
+// RESTORE snapshot so the restore itself can be undone. Run it inside a
+// transaction. Returns { snapshotId, rowCounts } of the new snapshot.
+async function restoreSnapshot(client, clientId, snapshotId) {
+  await ensureSnapshot(client, clientId, snapshotId);
+  await clearClientData(client, clientId);
+
+  const rowCounts = {};
+  for (const name of entityNames()) {
+    const entity = getEntity(name);
+    const columns = columnsOf(entity);
+    const result = await client.query(
+      `INSERT INTO ${entity.table} (${columns.join(", ")}, client_id)
+       SELECT ${columns.map((column) => `r.${column}`).join(", ")}, $3
+         FROM data_snapshot_rows s
+        CROSS JOIN LATERAL jsonb_populate_record(NULL::${entity.table}, s.data) r
+        WHERE s.snapshot_id = $1 AND s.entity = $2`,
+      [snapshotId, name, clientId]
+    );
+    rowCounts[name] = result.rowCount;
+  }
+
+  const restored = await takeSnapshot(client, clientId, "RESTORE", snapshotId);
+  logger.info("Restored data snapshot", { clientId, snapshotId, rowCounts });
+  return { snapshotId: restored, rowCounts };
+}
+
+// SQL selecting a client's synced rows as they are now, as snapshot rows of
+// every entity. The client ID is parameter $1.
+function liveRowsSql() {
+  return entityNames()
+    .map((name) => {
+      const entity = getEntity(name);
+      return `SELECT '${name}' AS entity, ${keySql(entity)} AS key,
+                     ${dataSql(entity)} AS data
+                FROM ${entity.table} WHERE client_id = $1`;
+    })
+    .join(" UNION ALL ");
+}
+
+// Compare two sets of snapshot rows, given as SQL selecting entity, key and
+// data with `params`, in the shape of diffSnapshots
+async function diffRows(db, fromSql, toSql, params, limit) {
+  const result = await db.query(
+    `WITH changes AS (
+       SELECT COALESCE(a.entity, b.entity) AS entity,
+              COALESCE(a.key, b.key) AS key,
+              CASE WHEN a.key IS NULL THEN 'added'
+                   WHEN b.key IS NULL THEN 'removed'
+                   ELSE 'changed' END AS kind,
+              a.data AS before, b.data AS after
+         FROM (${fromSql}) a
+         FULL JOIN (${toSql}) b
+           ON a.entity = b.entity AND a.key = b.key
+        WHERE a.data IS DISTINCT FROM b.data
+     ), ranked AS (
+       SELECT changes.*,
+              ROW_NUMBER() OVER (PARTITION BY entity, kind ORDER BY key) AS n,
+              COUNT(*) OVER (PARTITION BY entity, kind)::int AS total
+         FROM changes
+     )
+     SELECT entity, key, kind, before, after, total
+       FROM ranked
+      WHERE n <= $${params.length + 1}
+      ORDER BY entity, kind, key`,
+    [...params, limit]
+  );
+
+  const empty = () => ({
+    added: { total: 0, rows: [] },
+    removed: { total: 0, rows: [] },
+    changed: { total: 0, rows: [] },
+  });
+  const entities = Object.fromEntries(
+    entityNames().map((name) => [name, empty()])
+  );
+
+  for (const row of result.rows) {
+    // Entities no longer in the registry are still reported
+    if (!entities[row.entity]) entities[row.entity] = empty();
+    const list = entities[row.entity][row.kind];
+    list.total = row.total;
+    list.rows.push(
+      row.kind === "changed"
+        ? { key: row.key, changes: diff(row.before, row.after) }
+        : { key: row.key, row: redactRow(row.after || row.before) }
+    );
+  }
+
+  return entities;
+}
+
+// Rows added, removed and changed from one snapshot to another, per entity.
+// Each list holds at most `limit` rows ordered by key; `total` counts them
+// all. Changed rows list their changed fields, with secrets redacted.
+function diffSnapshots(db, fromId, toId, limit) {
+  return diffRows(
+    db,
+    "SELECT entity, key, data FROM data_snapshot_rows WHERE snapshot_id = $1",
+    "SELECT entity, key, data FROM data_snapshot_rows WHERE snapshot_id = $2",
+    [fromId, toId],
+    limit
+  );
+}
+
+// Copy a client's synced rows into a temporary table, for a dry run to
+// compare its writes with. The table is dropped when the transaction ends,
+// and no snapshot is kept or pruned.
+async function captureRows(client, clientId) {
+  await client.query(
+    `CREATE TEMP TABLE captured_rows ON COMMIT DROP AS ${liveRowsSql()}`,
+    [clientId]
+  );
+}
+
+// Compare the rows taken by captureRows with the client's rows now, in the
+// shape of diffSnapshots
+function diffCaptured(client, clientId, limit) {
+  return diffRows(
+    client,
+    "SELECT entity, key, data FROM captured_rows",
+    liveRowsSql(),
+    [clientId],
+    limit
+  );
+}
+
+module.exports = {
+  SNAPSHOT_RETENTION,
+  redactRow,
+  takeSnapshot,
+  ensureSnapshot,
+  restoreSnapshot,
+  diffSnapshots,
+  captureRows,
+  diffCaptured,
+};
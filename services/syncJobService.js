@@ -0,0 +1,337 @@
+// services/syncJobService.js
+// Writing a validated sync payload, either directly from the sync route or
+// from a queued sync job. Jobs are stored in sync_jobs and run by a poller
+// started from index.js, one job per client at a time. A job whose worker
+// stops sending heartbeats, such as after a restart, is queued again.
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+const {
+  replaceClientData,
+  applyDelta,
+  hashPayloadSecrets,
+  recordSyncLog,
+  recordFailedSync,
+} = require("./syncService");
+const {
+  takeSnapshot,
+  captureRows,
+  diffCaptured,
+} = require("./snapshotService");
+
+// Rows listed per entity and kind of change in a dry run's comparison
+const PREVIEW_ROW_LIMIT = 100;
+
+const HEARTBEAT_SECONDS = 15;
+
+// A running job without a heartbeat for this long is assumed abandoned
+const STALE_JOB_SECONDS = Number(process.env.SYNC_JOB_STALE_SECONDS) || 120;
+
+// Abandoned jobs are retried until they have been started this many times
+const MAX_JOB_ATTEMPTS = 3;
+
+// Finished jobs are removed after this many days
+const JOB_RETENTION_DAYS = Number(process.env.SYNC_JOB_RETENTION_DAYS) || 7;
+
+// Row errors kept in a finished job
+const MAX_JOB_ERRORS = 1000;
+
+// Response to a strict client's sync whose rows the database refused
+const ROWS_REJECTED_ERROR = "Sync rejected because rows could not be written";
+
+// Thrown inside a strict client's transaction when the database refused
+// rows that passed validation, to roll the whole sync back
+function rowsRejected(errors) {
+  const error = new Error("ROWS_REJECTED");
+  error.errors = errors;
+  return error;
+}
+
+// Write grouped, validated rows for a client inside `client`'s transaction.
+// A full sync snapshots the result as FULL, or as `snapshotSource` when one
+// is named, such as IMPORT. A delta sync takes no snapshot, since copying
+// every row would turn a small delta into a full-table write; its changes
+// are undone by restoring an earlier snapshot. A strict client's sync is
+// rolled back if any row fails. A dry run takes no snapshot: it copies the
+// data aside before the writes and returns a comparison of the data before
+// and after them; the caller rolls it back.
+async function runSync(client, clientId, options) {
+  const { mode, grouped, deleted, strict, dryRun, onProgress } = options;
+  const snapshotSource =
+    options.snapshotSource || (mode === "full" ? "FULL" : null);
+  if (dryRun) await captureRows(client, clientId);
+
+  const written =
+    mode === "delta"
+      ? await applyDelta(client, clientId, grouped, deleted, onProgress)
+      : await replaceClientData(client, clientId, grouped, onProgress);
+  if (strict && written.errors.length > 0) {
+    throw rowsRejected(written.errors);
+  }
+
+  if (dryRun) {
+    written.comparison = await diffCaptured(
+      client,
+      clientId,
+      PREVIEW_ROW_LIMIT
+    );
+  } else if (snapshotSource) {
+    await takeSnapshot(client, clientId, snapshotSource);
+  }
+  return written;
+}
+
+// Records a finished sync wrote, and the note its sync log gets
+function syncOutcome(mode, result) {
+  if (mode === "delta") {
+    return {
+      recordCount: result.inserted + result.updated + result.deleted,
+      note: `delta: ${result.inserted} inserted, ${result.updated} updated, ${result.deleted} deleted, ${result.unchanged} unchanged`,
+    };
+  }
+  return { recordCount: result.recordCount, note: undefined };
+}
+
+// Queue a sync job. `validation` is the payload's validation report, if any;
+// its issues count as errors when the job is logged. Passwords are hashed
+// before the payload is stored. Returns the job ID.
+async function enqueueSyncJob(
+  clientId,
+  { mode, grouped, deleted, validation }
+) {
+  const id = crypto.randomUUID();
+  const totalRows = Object.values(grouped).reduce(
+    (total, rows) => total + rows.length,
+    0
+  );
+
+  await dbService.query(
+    `INSERT INTO sync_jobs
+       (id, client_id, mode, payload, total_rows, validation)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      id,
+      clientId,
+      mode,
+      JSON.stringify({
+        grouped: await hashPayloadSecrets(dbService, clientId, grouped),
+        deleted,
+      }),
+      totalRows,
+      validation ? JSON.stringify(validation) : null,
+    ]
+  );
+
+  logger.info("Queued sync job", { clientId, jobId: id, mode, totalRows });
+  return id;
+}
+
+// A client's job as shown to the client, or null
+async function loadSyncJob(db, jobId, clientId) {
+  const result = await db.query(
+    `SELECT id, status, mode, total_rows, processed_rows, validation, result,
+            errors, error, attempts, created_at, started_at, finished_at
+       FROM sync_jobs
+      WHERE id::text = $1 AND client_id = $2`,
+    [jobId, clientId]
+  );
+  return result.rows[0] || null;
+}
+
+// Requeue running jobs whose worker has gone quiet, or fail them once they
+// have used up their attempts
+async function recoverStaleJobs() {
+  const result = await dbService.query(
+    `UPDATE sync_jobs
+        SET status = CASE WHEN attempts >= $2 THEN 'FAILED' ELSE 'QUEUED' END,
+            error = CASE WHEN attempts >= $2
+                         THEN 'Job was interrupted too many times' END,
+            finished_at = CASE WHEN attempts >= $2 THEN NOW() END,
+            payload = CASE WHEN attempts >= $2 THEN NULL ELSE payload END
+      WHERE status = 'RUNNING'
+        AND heartbeat_at < NOW() - make_interval(secs => $1)
+      RETURNING id, client_id, status`,
+    [STALE_JOB_SECONDS, MAX_JOB_ATTEMPTS]
+  );
+  for (const job of result.rows) {
+    logger.warn("Recovered abandoned sync job", {
+      jobId: job.id,
+      clientId: job.client_id,
+      status: job.status,
+    });
+  }
+}
+
+// Claim the oldest queued job of a client that has no job running and no
+// older job queued
+async function claimJob() {
+  const result = await dbService.query(
+    `UPDATE sync_jobs
+        SET status = 'RUNNING', attempts = attempts + 1,
+            started_at = NOW(), heartbeat_at = NOW(), processed_rows = 0
+      WHERE id = (
+        SELECT j.id FROM sync_jobs j
+         WHERE j.status = 'QUEUED'
+           AND NOT EXISTS (
+             SELECT 1 FROM sync_jobs o
+              WHERE o.client_id = j.client_id
+                AND (o.status = 'RUNNING'
+                     OR (o.status = 'QUEUED' AND o.created_at < j.created_at))
+           )
+         ORDER BY j.created_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, client_id, mode, payload, validation`
+  );
+  return result.rows[0] || null;
+}
+
+// Record a job's final state and drop its payload
+async function finishJob(jobId, status, fields) {
+  await dbService.query(
+    `UPDATE sync_jobs
+        SET status = $2::text, result = $3, errors = $4, error = $5,
+            processed_rows = CASE WHEN $2::text = 'COMPLETED'
+                                  THEN total_rows ELSE processed_rows END,
+            payload = NULL, finished_at = NOW()
+      WHERE id = $1`,
+    [
+      jobId,
+      status,
+      fields.result ? JSON.stringify(fields.result) : null,
+      fields.errors && fields.errors.length > 0
+        ? JSON.stringify(fields.errors.slice(0, MAX_JOB_ERRORS))
+        : null,
+      fields.error || null,
+    ]
+  );
+}
+
+// Run one claimed job in its own transaction, holding the client's row so
+// no other job or restore for the client runs at the same time
+async function runJob(job) {
+  const { id: jobId, client_id: clientId, mode } = job;
+  const { grouped, deleted } = job.payload;
+
+  const heartbeat = setInterval(() => {
+    dbService
+      .query("UPDATE sync_jobs SET heartbeat_at = NOW() WHERE id = $1", [jobId])
+      .catch((error) =>
+        logger.error(`Sync job heartbeat failed: ${error.message}`, { jobId })
+      );
+  }, HEARTBEAT_SECONDS * 1000);
+
+  const onProgress = async (handled) => {
+    await dbService.query(
+      `UPDATE sync_jobs SET processed_rows = $2, heartbeat_at = NOW()
+        WHERE id = $1`,
+      [jobId, handled]
+    );
+  };
+
+  try {
+    const result = await dbService.transaction(async (client) => {
+      const user = await client.query(
+        `SELECT validation_mode FROM sync_users
+          WHERE client_id = $1 FOR UPDATE`,
+        [clientId]
+      );
+      return runSync(client, clientId, {
+        mode,
+        grouped,
+        deleted,
+        strict: user.rows[0].validation_mode === "strict",
+        onProgress,
+      });
+    });
+
+    const { errors, ...counts } = result;
+    const { recordCount, note } = syncOutcome(mode, result);
+    // Rows skipped by validation when the job was queued count as errors
+    const skipped = job.validation ? job.validation.issueCount : 0;
+
+    await finishJob(jobId, "COMPLETED", {
+      result: { ...counts, recordCount },
+      errors,
+    });
+    await recordSyncLog(
+      clientId,
+      recordCount,
+      skipped + errors.length,
+      note ? `job ${jobId}, ${note}` : `job ${jobId}`
+    );
+    logger.info("Finished sync job", { clientId, jobId, recordCount });
+  } catch (error) {
+    if (error.message === "ROWS_REJECTED") {
+      await finishJob(jobId, "FAILED", {
+        errors: error.errors,
+        error: ROWS_REJECTED_ERROR,
+      });
+      await recordFailedSync(clientId, error.errors.length, `job ${jobId}`);
+      return;
+    }
+
+    logger.error(`Sync job failed: ${error.message}`, {
+      clientId,
+      jobId,
+      error,
+    });
+    await finishJob(jobId, "FAILED", { error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Set while this process is working through the queue, so polls never
+// overlap
+let processing = false;
+
+// Run queued sync jobs until none is ready. Errors are logged, not thrown.
+async function processSyncJobs() {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await recoverStaleJobs();
+    for (let job = await claimJob(); job; job = await claimJob()) {
+      logger.info("Started sync job", {
+        jobId: job.id,
+        clientId: job.client_id,
+      });
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error(`Error processing sync jobs: ${error.message}`, { error });
+  } finally {
+    processing = false;
+  }
+}
+
+// Delete finished jobs older than JOB_RETENTION_DAYS
+async function cleanupFinishedJobs() {
+  try {
+    const result = await dbService.query(
+      `DELETE FROM sync_jobs
+        WHERE status IN ('COMPLETED', 'FAILED')
+          AND finished_at < NOW() - make_interval(days => $1)`,
+      [JOB_RETENTION_DAYS]
+    );
+    if (result.rowCount > 0) {
+      logger.info(`Removed ${result.rowCount} finished sync job(s)`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up sync jobs: ${error.message}`, { error });
+  }
+}
+
+module.exports = {
+  ROWS_REJECTED_ERROR,
+  rowsRejected,
+  runSync,
+  syncOutcome,
+  enqueueSyncJob,
+  loadSyncJob,
+  processSyncJobs,
+  cleanupFinishedJobs,
+};
@@ -0,0 +1,632 @@
+// services/syncService.js
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+const { enqueueEvent } = require("./webhookService");
+const {
+  getEntity,
+  entityNames,
+  columnsOf,
+  hashedColumnsOf,
+  withoutSecrets,
+  normalizeRow,
+} = require("./entityRegistry");
+const {
+  hashPassword,
+  isHashed,
+  verifyPassword,
+} = require("../utils/passwords");
+
+// Record that a client's synced data changed, for the read API's cache
+// validators
+async function touchClientData(client, clientId) {
+  await client.query(
+    "UPDATE sync_users SET data_updated_at = NOW() WHERE client_id = $1",
+    [clientId]
+  );
+}
+
+// Remove all synced rows for a client from the given entities' tables
+async function clearClientData(client, clientId, names = entityNames()) {
+  for (const name of names) {
+    await client.query(
+      `DELETE FROM ${getEntity(name).table} WHERE client_id=$1`,
+      [clientId]
+    );
+  }
+  await touchClientData(client, clientId);
+  logger.info("Cleared old data for client", { clientId, entities: names });
+}
+
+// Replace the hashed fields of a normalized row with password hashes.
+// Values that already are hashes, such as rows copied from stored data, are
+// kept. `current` is the stored row with the same key, if any; its hash is
+// reused when the password has not changed, so the row compares unchanged.
+async function hashSecrets(entity, values, current) {
+  for (const column of hashedColumnsOf(entity)) {
+    const value = values[column];
+    if (value === null || isHashed(value)) continue;
+
+    const stored = current && current[column];
+    values[column] =
+      isHashed(stored) && (await verifyPassword(value, stored))
+        ? stored
+        : await hashPassword(value);
+  }
+  return values;
+}
+
+// Identifies a normalized or stored row within one client's entity table
+function rowKey(entity, row) {
+  return JSON.stringify(entity.keys.map((column) => String(row[column])));
+}
+
+// The hashed fields of a client's stored rows, for the given entities that
+// have any, as { name: Map(rowKey => row) }. Read before a full sync clears
+// the rows, so unchanged passwords keep their hashes.
+async function storedHashes(client, clientId, names) {
+  const stored = {};
+  for (const name of names) {
+    const entity = getEntity(name);
+    const hashed = hashedColumnsOf(entity);
+    if (hashed.length === 0) continue;
+
+    const result = await client.query(
+      `SELECT ${[...entity.keys, ...hashed].join(", ")}
+         FROM ${entity.table} WHERE client_id = $1`,
+      [clientId]
+    );
+    stored[name] = new Map(
+      result.rows.map((row) => [rowKey(entity, row), row])
+    );
+  }
+  return stored;
+}
+
+// The hashed fields of a client's stored rows with the same keys as
+// `rows`, normalized rows of one entity, as Map(rowKey => row). Read once per
+// delta batch, so unchanged passwords keep their hashes.
+async function batchHashes(client, clientId, entity, rows) {
+  const params = [clientId];
+  const tuples = rows.map(
+    (values) =>
+      `(${entity.keys
+        .map((column) => {
+          params.push(values[column]);
+          return `$${params.length}`;
+        })
+        .join(", ")})`
+  );
+
+  const result = await client.query(
+    `SELECT ${[...entity.keys, ...hashedColumnsOf(entity)].join(", ")}
+       FROM ${entity.table}
+      WHERE client_id = $1
+        AND (${entity.keys.join(", ")}) IN (${tuples.join(", ")})`,
+    params
+  );
+  return new Map(result.rows.map((row) => [rowKey(entity, row), row]));
+}
+
+// Rows per multi-row INSERT statement
+const BATCH_SIZE = Number(process.env.SYNC_BATCH_SIZE) || 1000;
+
+// Copy of validated, grouped payload rows with their hashed fields already
+// hashed, for payloads kept in the database until they are written, such as
+// queued jobs and session chunks, so passwords are never stored in plain
+// text. The client's stored hashes are reused for unchanged passwords, as
+// hashSecrets does, and are kept as they are when the rows are written.
+async function hashPayloadSecrets(db, clientId, grouped) {
+  const names = Object.keys(grouped).filter(
+    (name) => hashedColumnsOf(getEntity(name)).length > 0
+  );
+  const stored = await storedHashes(db, clientId, names);
+
+  const hashed = { ...grouped };
+  for (const name of names) {
+    const entity = getEntity(name);
+    const rows = [];
+    for (let i = 0; i < grouped[name].length; i += BATCH_SIZE) {
+      const batch = grouped[name].slice(i, i + BATCH_SIZE);
+      rows.push(
+        ...(await Promise.all(
+          batch.map(async (row) => {
+            const values = normalizeRow(entity, row);
+            await hashSecrets(
+              entity,
+              values,
+              stored[name].get(rowKey(entity, values))
+            );
+            const copy = { ...row };
+            for (const column of hashedColumnsOf(entity)) {
+              const { aliases } = entity.fields[column];
+              for (const alias of aliases) delete copy[alias];
+              copy[aliases[0]] = values[column];
+            }
+            return copy;
+          })
+        ))
+      );
+    }
+    hashed[name] = rows;
+  }
+  return hashed;
+}
+
+// Insert a batch with one statement, ending with `suffix` such as an upsert's
+// ON CONFLICT clause. If it fails, roll back to a savepoint and split the
+// batch in half until the failing rows are isolated, so a bad row is
+// reported without aborting the rest of the batch or the transaction.
+// Returns the number of rows written and the rows the statements returned.
+async function insertBatch(client, name, entries, errs, suffix = "") {
+  const entity = getEntity(name);
+
+  await client.query("SAVEPOINT bulk_batch");
+  try {
+    const result = await dbService.bulkInsert(
+      client,
+      entity.table,
+      [...columnsOf(entity), "client_id"],
+      entries.map((entry) => entry.values),
+      suffix
+    );
+    await client.query("RELEASE SAVEPOINT bulk_batch");
+    return { written: entries.length, returned: result.rows };
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT bulk_batch");
+    await client.query("RELEASE SAVEPOINT bulk_batch");
+
+    if (entries.length === 1) {
+      errs.push({
+        entity: name,
+        row: withoutSecrets(entity, entries[0].row),
+        error: error.message,
+      });
+      return { written: 0, returned: [] };
+    }
+
+    const middle = Math.ceil(entries.length / 2);
+    const first = await insertBatch(
+      client,
+      name,
+      entries.slice(0, middle),
+      errs,
+      suffix
+    );
+    const second = await insertBatch(
+      client,
+      name,
+      entries.slice(middle),
+      errs,
+      suffix
+    );
+    return {
+      written: first.written + second.written,
+      returned: [...first.returned, ...second.returned],
+    };
+  }
+}
+
+// Insert rows grouped by entity name in batches, collecting per-row errors.
+// `stored` is the result of storedHashes from before the old rows were
+// removed, if any. `onProgress`, if given, is awaited after each batch with
+// the number of rows handled so far.
+async function insertRows(client, clientId, grouped, stored = {}, onProgress) {
+  const errs = [];
+  const counts = {};
+  let count = 0;
+  let handled = 0;
+
+  for (const [name, rows] of Object.entries(grouped)) {
+    const entity = getEntity(name);
+    const columns = columnsOf(entity);
+    let pending = [];
+    counts[name] = 0;
+
+    const flush = async () => {
+      // Hashes are computed in parallel on libuv's thread pool
+      const entries = await Promise.all(
+        pending.map(async ({ row, values }) => {
+          await hashSecrets(
+            entity,
+            values,
+            stored[name] && stored[name].get(rowKey(entity, values))
+          );
+          return {
+            row,
+            values: [...columns.map((column) => values[column]), clientId],
+          };
+        })
+      );
+      const { written: inserted } = await insertBatch(
+        client,
+        name,
+        entries,
+        errs
+      );
+      logger.debug(`Inserted ${name} batch`, {
+        clientId,
+        rows: pending.length,
+      });
+      counts[name] += inserted;
+      count += inserted;
+      pending = [];
+      if (onProgress) await onProgress(handled);
+    };
+
+    for (const row of rows) {
+      handled++;
+      let values;
+      try {
+        values = normalizeRow(entity, row);
+      } catch (error) {
+        errs.push({
+          entity: name,
+          row: withoutSecrets(entity, row),
+          error: error.message,
+        });
+        continue;
+      }
+
+      pending.push({ row, values });
+      if (pending.length >= BATCH_SIZE) await flush();
+    }
+
+    if (pending.length > 0) await flush();
+  }
+
+  if (errs.length > 0) {
+    logger.error(`${errs.length} row(s) failed to insert`, {
+      clientId,
+      errors: errs.slice(0, 10),
+    });
+  }
+  logger.info("Inserted sync rows", { clientId, count });
+
+  return { recordCount: count, counts, errors: errs };
+}
+
+// Full sync: wipe the client's data for every entity in the payload and
+// insert its rows
+async function replaceClientData(client, clientId, grouped, onProgress) {
+  const names = Object.keys(grouped);
+  const stored = await storedHashes(client, clientId, names);
+  await clearClientData(client, clientId, names);
+  return insertRows(client, clientId, grouped, stored, onProgress);
+}
+
+// ON CONFLICT clause that turns an entity's batch insert into an upsert. It
+// returns no row for rows whose stored values already match, and `inserted`
+// tells inserts from updates.
+function upsertClause(entity) {
+  const columns = [...columnsOf(entity), "client_id"];
+  const conflict = [...entity.keys, "client_id"];
+  const updates = columns.filter((column) => !conflict.includes(column));
+
+  const action =
+    updates.length === 0
+      ? "DO NOTHING"
+      : `DO UPDATE SET ${updates
+          .map((column) => `${column} = EXCLUDED.${column}`)
+          .join(", ")}
+         WHERE (${updates.map((column) => `${entity.table}.${column}`).join(", ")})
+           IS DISTINCT FROM
+           (${updates.map((column) => `EXCLUDED.${column}`).join(", ")})`;
+
+  return `ON CONFLICT (${conflict.join(", ")}) ${action}
+          RETURNING (xmax = 0) AS inserted`;
+}
+
+// Delete the listed keys of one entity, as checked by checkDeleted.
+// Single-key entities take plain values; composite keys are given as
+// objects of key columns.
+async function deleteKeys(client, clientId, entity, keys) {
+  if (entity.keys.length === 1) {
+    const result = await client.query(
+      `DELETE FROM ${entity.table} WHERE client_id = $1 AND ${entity.keys[0]} = ANY($2)`,
+      [clientId, keys]
+    );
+    return result.rowCount;
+  }
+
+  let deleted = 0;
+  for (const key of keys) {
+    const result = await client.query(
+      `DELETE FROM ${entity.table} WHERE client_id = $1 AND ${entity.keys
+        .map((column, i) => `${column} = $${i + 2}`)
+        .join(" AND ")}`,
+      [clientId, ...entity.keys.map((column) => key[column])]
+    );
+    deleted += result.rowCount;
+  }
+  return deleted;
+}
+
+// Delta sync: upsert the payload rows and remove only the keys listed in
+// `deleted`. Rows are upserted BATCH_SIZE at a time with insertBatch, so a
+// bad row is isolated as for a full sync. Rows whose values did not change
+// are left untouched. `onProgress` is awaited after each batch, as for
+// insertRows.
+async function applyDelta(client, clientId, grouped, deleted = {}, onProgress) {
+  const counts = { inserted: 0, updated: 0, deleted: 0, unchanged: 0 };
+  const errs = [];
+  let handled = 0;
+
+  for (const [name, rows] of Object.entries(grouped)) {
+    const entity = getEntity(name);
+    const columns = columnsOf(entity);
+    const hashed = hashedColumnsOf(entity).length > 0;
+    const suffix = upsertClause(entity);
+    let pending = [];
+
+    const flush = async () => {
+      const stored = hashed
+        ? await batchHashes(
+            client,
+            clientId,
+            entity,
+            pending.map(({ values }) => values)
+          )
+        : null;
+      // Hashes are computed in parallel on libuv's thread pool
+      const entries = await Promise.all(
+        pending.map(async ({ row, values }) => {
+          if (stored) {
+            await hashSecrets(
+              entity,
+              values,
+              stored.get(rowKey(entity, values))
+            );
+          }
+          return {
+            row,
+            values: [...columns.map((column) => values[column]), clientId],
+          };
+        })
+      );
+
+      // Rows the upsert skipped as unchanged return nothing
+      const { written, returned } = await insertBatch(
+        client,
+        name,
+        entries,
+        errs,
+        suffix
+      );
+      const inserted = returned.filter((row) => row.inserted).length;
+      counts.inserted += inserted;
+      counts.updated += returned.length - inserted;
+      counts.unchanged += written - returned.length;
+      pending = [];
+      if (onProgress) await onProgress(handled);
+    };
+
+    for (const row of rows) {
+      handled++;
+      let values;
+      try {
+        values = normalizeRow(entity, row);
+      } catch (error) {
+        errs.push({
+          entity: name,
+          row: withoutSecrets(entity, row),
+          error: error.message,
+        });
+        continue;
+      }
+
+      pending.push({ row, values });
+      if (pending.length >= BATCH_SIZE) await flush();
+    }
+
+    if (pending.length > 0) await flush();
+  }
+
+  for (const [name, keys] of Object.entries(deleted)) {
+    if (keys.length > 0) {
+      counts.deleted += await deleteKeys(
+        client,
+        clientId,
+        getEntity(name),
+        keys
+      );
+    }
+  }
+
+  if (counts.inserted + counts.updated + counts.deleted > 0) {
+    await touchClientData(client, clientId);
+  }
+  if (errs.length > 0) {
+    logger.error(`${errs.length} delta row(s) failed`, {
+      clientId,
+      errors: errs.slice(0, 10),
+    });
+  }
+  logger.info("Applied delta sync", { clientId, ...counts });
+
+  return { ...counts, errors: errs };
+}
+
+// Row errors a batchWriter keeps for its result; the rest are only counted
+const MAX_KEPT_ERRORS = 1000;
+
+// Write rows that arrive one at a time, such as from a streamed upload, with
+// insertRows for a full sync or applyDelta for a delta, BATCH_SIZE rows of
+// an entity at a time, so only one batch per entity is held in memory.
+// A full sync must already have cleared the entities it replaces, listed in
+// `names`, and pass their storedHashes as `stored`. add(name, row) resolves
+// once any batch it fills is written. finish(deleted) writes the remaining
+// rows and deletes a delta's keys, and returns the totals as insertRows or
+// applyDelta would, with `errorCount` counting every row error.
+function batchWriter(client, clientId, { mode, names = [], stored = {} }) {
+  const pending = {};
+  const totals =
+    mode === "delta"
+      ? { inserted: 0, updated: 0, deleted: 0, unchanged: 0 }
+      : {
+          recordCount: 0,
+          counts: Object.fromEntries(names.map((name) => [name, 0])),
+        };
+  const errors = [];
+  let errorCount = 0;
+
+  const write = async (grouped, deleted) => {
+    const written =
+      mode === "delta"
+        ? await applyDelta(client, clientId, grouped, deleted)
+        : await insertRows(client, clientId, grouped, stored);
+
+    if (mode === "delta") {
+      for (const field of ["inserted", "updated", "deleted", "unchanged"]) {
+        totals[field] += written[field];
+      }
+    } else {
+      totals.recordCount += written.recordCount;
+      for (const [name, count] of Object.entries(written.counts)) {
+        totals.counts[name] = (totals.counts[name] || 0) + count;
+      }
+    }
+    errorCount += written.errors.length;
+    errors.push(...written.errors.slice(0, MAX_KEPT_ERRORS - errors.length));
+  };
+
+  return {
+    async add(name, row) {
+      if (!pending[name]) pending[name] = [];
+      pending[name].push(row);
+      if (pending[name].length >= BATCH_SIZE) {
+        const rows = pending[name];
+        pending[name] = [];
+        await write({ [name]: rows });
+      }
+    },
+
+    async finish(deleted = {}) {
+      const rest = Object.fromEntries(
+        Object.entries(pending).filter(([, rows]) => rows.length > 0)
+      );
+      if (Object.keys(rest).length > 0 || mode === "delta") {
+        await write(rest, deleted);
+      }
+      return { ...totals, errors, errorCount };
+    },
+  };
+}
+
+// Delete expired sync sessions; their chunks are removed by ON DELETE CASCADE
+async function cleanupExpiredSessions() {
+  try {
+    const result = await dbService.query(
+      "DELETE FROM sync_sessions WHERE expires_at < NOW()"
+    );
+    if (result.rowCount > 0) {
+      logger.info(`Removed ${result.rowCount} expired sync session(s)`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up sync sessions: ${error.message}`, {
+      error,
+    });
+  }
+}
+
+// Webhook event queued for each sync log status
+const SYNC_LOG_EVENTS = {
+  SUCCESS: "sync.completed",
+  PARTIAL: "sync.partial",
+  FAILED: "sync.failed",
+};
+
+// Where a sync log came from: the client's own sync, or an admin's import
+const SYNC_LOG_SOURCES = ["CLIENT", "ADMIN_IMPORT"];
+
+// Write a sync_logs entry for a finished sync and queue its webhook event.
+// `errorCount` counts the rows that were skipped or failed. Failures are
+// logged, not thrown, so they never fail a sync that has already been
+// committed.
+async function recordSyncLog(
+  clientId,
+  recordCount,
+  errorCount,
+  note,
+  source = "CLIENT"
+) {
+  const status = errorCount > 0 ? "PARTIAL" : "SUCCESS";
+  let message =
+    errorCount > 0
+      ? `Sync completed with ${errorCount} error(s)`
+      : "Sync completed successfully";
+  if (note) message += ` (${note})`;
+
+  await writeSyncLog(
+    clientId,
+    recordCount,
+    status,
+    message,
+    errorCount,
+    source
+  );
+}
+
+// Write a FAILED sync_logs entry for a sync that was rejected as a whole
+// because of `errorCount` bad rows, so nothing was written
+async function recordFailedSync(clientId, errorCount, note) {
+  let message = `Sync rejected with ${errorCount} error(s)`;
+  if (note) message += ` (${note})`;
+
+  await writeSyncLog(clientId, 0, "FAILED", message, errorCount);
+}
+
+// Insert the sync_logs row and queue the matching webhook event
+async function writeSyncLog(
+  clientId,
+  recordCount,
+  status,
+  message,
+  errorCount,
+  source = "CLIENT"
+) {
+  try {
+    const result = await dbService.query(
+      `INSERT INTO sync_logs
+         (client_id, records_synced, status, message, source)
+       VALUES($1,$2,$3,$4,$5)
+       RETURNING id, sync_date`,
+      [clientId, recordCount, status, message, source]
+    );
+    logger.info("Logged sync operation", {
+      clientId,
+      recordCount,
+      status,
+      source,
+    });
+
+    await enqueueEvent(dbService, SYNC_LOG_EVENTS[status], {
+      client_id: clientId,
+      sync_log_id: result.rows[0].id,
+      sync_date: result.rows[0].sync_date,
+      status,
+      source,
+      records_synced: recordCount,
+      error_count: errorCount,
+      message,
+    });
+  } catch (logError) {
+    logger.error("Failed to log sync operation", {
+      clientId,
+      error: logError.stack,
+    });
+  }
+}
+
+module.exports = {
+  SYNC_LOG_SOURCES,
+  clearClientData,
+  storedHashes,
+  hashPayloadSecrets,
+  insertRows,
+  replaceClientData,
+  applyDelta,
+  batchWriter,
+  recordSyncLog,
+  recordFailedSync,
+  cleanupExpiredSessions,
+};
@@ -0,0 +1,133 @@
+// services/tokenService.js
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+
+// Tokens are 256-bit random values, so a plain SHA-256 is enough to store
+// them safely; a slow password hash would only slow down every sync request
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+const TOKEN_COLUMNS = `id, client_id, name, token_prefix, created_at,
+  last_used_at, expires_at, revoked_at,
+  CASE WHEN revoked_at IS NOT NULL THEN 'REVOKED'
+       WHEN expires_at IS NOT NULL AND expires_at <= NOW() THEN 'EXPIRED'
+       WHEN expires_at IS NOT NULL THEN 'GRACE'
+       ELSE 'ACTIVE' END AS status`;
+
+// Create a named token for a client. The plain token is returned only here;
+// just its hash is stored.
+async function issueToken(db, clientId, name) {
+  const token = generateToken();
+  const result = await db.query(
+    `INSERT INTO client_tokens (client_id, name, token_hash, token_prefix)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${TOKEN_COLUMNS}`,
+    [clientId, name, hashToken(token), token.slice(0, 8)]
+  );
+  return { token, record: result.rows[0] };
+}
+
+// Check a client's credentials and record when the token was last used.
+// `db` may be the pool service or a transaction client.
+async function verifyClient(db, clientId, accessToken) {
+  if (typeof accessToken !== "string") return false;
+
+  const result = await db.query(
+    `UPDATE client_tokens SET last_used_at = NOW()
+      WHERE client_id = $1 AND token_hash = $2
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+      RETURNING id`,
+    [clientId, hashToken(accessToken)]
+  );
+  return result.rowCount > 0;
+}
+
+// Signed requests older or newer than this are rejected, and their nonces
+// are kept this long
+const SIGNATURE_WINDOW_SECONDS =
+  Number(process.env.SYNC_SIGNATURE_WINDOW_SECONDS) || 300;
+
+// SHA-256 of a raw request body, as it goes into the signing string
+function hashBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(body || "")
+    .digest("hex");
+}
+
+// The string a client signs: method, path, timestamp, nonce and the SHA-256
+// of the raw body, one per line
+function signingString(method, path, timestamp, nonce, bodyHash) {
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join("\n");
+}
+
+// Sign a request whose body hash is already known, such as a streamed body
+// hashed as it was read
+function signBodyHash(secret, method, path, timestamp, nonce, bodyHash) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(signingString(method, path, timestamp, nonce, bodyHash))
+    .digest("hex");
+}
+
+function signRequest(secret, method, path, timestamp, nonce, body) {
+  return signBodyHash(secret, method, path, timestamp, nonce, hashBody(body));
+}
+
+// Compare two hex signatures without leaking timing information
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(String(actual), "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Record a nonce for a client. Returns false if it was already used.
+async function useNonce(db, clientId, nonce) {
+  const result = await db.query(
+    `INSERT INTO sync_request_nonces (client_id, nonce) VALUES ($1, $2)
+     ON CONFLICT DO NOTHING`,
+    [clientId, nonce]
+  );
+  return result.rowCount > 0;
+}
+
+// Remove nonces old enough that their timestamps would be rejected anyway
+async function cleanupExpiredNonces() {
+  try {
+    const result = await dbService.query(
+      `DELETE FROM sync_request_nonces
+        WHERE created_at < NOW() - make_interval(secs => $1)`,
+      [SIGNATURE_WINDOW_SECONDS * 2]
+    );
+    if (result.rowCount > 0) {
+      logger.info(`Removed ${result.rowCount} expired request nonce(s)`);
+    }
+  } catch (error) {
+    logger.error(`Error cleaning up request nonces: ${error.message}`, {
+      error,
+    });
+  }
+}
+
+module.exports = {
+  TOKEN_COLUMNS,
+  SIGNATURE_WINDOW_SECONDS,
+  hashToken,
+  generateToken,
+  issueToken,
+  verifyClient,
+  hashBody,
+  signingString,
+  signBodyHash,
+  signRequest,
+  signaturesMatch,
+  useNonce,
+  cleanupExpiredNonces,
+};
@@ -0,0 +1,239 @@
+// services/webhookService.js
+// Outbound webhooks. Events are queued as one delivery row per subscribed
+// webhook, inside the caller's transaction where there is one, and a poller
+// started from index.js posts them with retries and exponential backoff.
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+const dbService = require("./dbService");
+const { SECRET_FIELDS } = require("./auditService");
+const { decryptSecret } = require("../utils/secrets");
+
+const EVENT_TYPES = [
+  "sync.completed",
+  "sync.partial",
+  "sync.failed",
+  "client.created",
+  "client.updated",
+  "client.deleted",
+];
+
+// Sent only on request, to check a receiver
+const PING_EVENT = "ping";
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Retry after 30s, 1m, 2m, ... capped at 6 hours
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+// Deliveries claimed per query, and how long a claim lasts before another
+// process may retry it
+const CLAIM_BATCH_SIZE = 20;
+const CLAIM_LEASE_SECONDS = 5 * 60;
+
+// Copy of a row without the fields the audit trail redacts, safe to send
+function withoutSecrets(row) {
+  return Object.fromEntries(
+    Object.entries(row).filter(([field]) => !SECRET_FIELDS.includes(field))
+  );
+}
+
+// Receivers recompute this over the X-Webhook-Timestamp header and the raw
+// body to check a delivery came from us
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+// Queue `event` for every enabled webhook subscribed to it. Pass the
+// transaction client so the event is only sent if the change commits.
+// Returns the number of deliveries queued.
+async function enqueueEvent(db, event, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    occurred_at: new Date().toISOString(),
+    data,
+  };
+
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $1::text, $2::jsonb FROM webhooks
+      WHERE enabled AND $1::text = ANY(events)`,
+    [event, JSON.stringify(payload)]
+  );
+  return result.rowCount;
+}
+
+// Queue a ping for one webhook regardless of its events
+async function enqueuePing(db, webhookId) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event: PING_EVENT,
+    occurred_at: new Date().toISOString(),
+    data: { webhook_id: webhookId },
+  };
+
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [webhookId, PING_EVENT, JSON.stringify(payload)]
+  );
+  return result.rows[0].id;
+}
+
+// POST one delivery and record the attempt
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "sync-service-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signPayload(
+          delivery.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    await response.arrayBuffer();
+    if (!response.ok) error = `Receiver responded with HTTP ${statusCode}`;
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const durationMs = Date.now() - started;
+  const attempts = delivery.attempts + 1;
+  const status =
+    error === null
+      ? "DELIVERED"
+      : attempts >= MAX_ATTEMPTS
+        ? "FAILED"
+        : "PENDING";
+
+  await dbService.transaction(async (client) => {
+    await client.query(
+      `INSERT INTO webhook_delivery_attempts
+         (delivery_id, status_code, error, duration_ms)
+       VALUES ($1, $2, $3, $4)`,
+      [delivery.id, statusCode, error, durationMs]
+    );
+    await client.query(
+      `UPDATE webhook_deliveries
+          SET status = $2::text,
+              attempts = $3,
+              last_status_code = $4,
+              last_error = $5,
+              next_attempt_at = NOW() + make_interval(secs => $6),
+              delivered_at = CASE WHEN $2::text = 'DELIVERED' THEN NOW() END
+        WHERE id = $1`,
+      [
+        delivery.id,
+        status,
+        attempts,
+        statusCode,
+        error,
+        retryDelaySeconds(attempts),
+      ]
+    );
+  });
+
+  if (status === "FAILED") {
+    logger.error(
+      `Webhook delivery ${delivery.id} failed after ${attempts} attempts`,
+      { url: delivery.url, event: delivery.event, error }
+    );
+  } else if (status === "PENDING") {
+    logger.warn(`Webhook delivery ${delivery.id} failed, will retry`, {
+      url: delivery.url,
+      attempts,
+      error,
+    });
+  }
+  return status;
+}
+
+let processing = false;
+
+// Send every due delivery of enabled webhooks. Scheduled from index.js and
+// also called right after a ping or redelivery; errors are logged, not
+// thrown. Returns the number of deliveries attempted.
+async function processDueDeliveries() {
+  if (processing) return 0;
+  processing = true;
+
+  let attempted = 0;
+  try {
+    for (;;) {
+      // Claim a batch by pushing it into the future, so other server
+      // processes skip it while it is being sent
+      const due = await dbService.query(
+        `UPDATE webhook_deliveries d
+            SET next_attempt_at = NOW() + make_interval(secs => $1)
+           FROM webhooks w
+          WHERE w.id = d.webhook_id
+            AND d.id IN (
+              SELECT pd.id FROM webhook_deliveries pd
+                JOIN webhooks pw ON pw.id = pd.webhook_id
+               WHERE pd.status = 'PENDING' AND pd.next_attempt_at <= NOW()
+                 AND pw.enabled
+               ORDER BY pd.next_attempt_at
+               LIMIT $2
+                 FOR UPDATE OF pd SKIP LOCKED
+            )
+          RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret`,
+        [CLAIM_LEASE_SECONDS, CLAIM_BATCH_SIZE]
+      );
+      if (due.rowCount === 0) break;
+
+      // Secrets are stored encrypted
+      await Promise.all(
+        due.rows.map((delivery) =>
+          attemptDelivery({
+            ...delivery,
+            secret: decryptSecret(delivery.secret),
+          })
+        )
+      );
+      attempted += due.rowCount;
+    }
+  } catch (error) {
+    logger.error(`Error processing webhook deliveries: ${error.message}`, {
+      error,
+    });
+  } finally {
+    processing = false;
+  }
+  return attempted;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  withoutSecrets,
+  signPayload,
+  enqueueEvent,
+  enqueuePing,
+  processDueDeliveries,
+};
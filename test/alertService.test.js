@@ -0,0 +1,58 @@
+// test/alertService.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dbService = require("../services/dbService");
+const { validateRule } = require("../services/alertService");
+
+test.after(() => dbService.pool.end());
+
+test("validateRule accepts valid params and fills in defaults", () => {
+  assert.deepEqual(validateRule("NO_SUCCESS", { hours: 24 }), {
+    params: { hours: 24 },
+  });
+  assert.deepEqual(validateRule("RECORD_DROP", { percent: 50 }), {
+    params: { percent: 50, window: 10 },
+  });
+});
+
+test("validateRule rejects unknown rule types", () => {
+  assert.match(validateRule("NOPE", {}).error, /^type must be one of: /);
+});
+
+test("validateRule rejects params that are not an object", () => {
+  for (const params of [null, [], "hours"]) {
+    assert.deepEqual(validateRule("NO_SUCCESS", params), {
+      error: "params must be an object",
+    });
+  }
+});
+
+test("validateRule requires required params", () => {
+  assert.deepEqual(validateRule("NO_SUCCESS", {}), {
+    error: "params.hours is required",
+  });
+  assert.deepEqual(validateRule("NO_SUCCESS"), {
+    error: "params.hours is required",
+  });
+});
+
+test("validateRule checks types and ranges", () => {
+  assert.deepEqual(validateRule("NO_SUCCESS", { hours: "24" }), {
+    error: "params.hours must be a number of at least 1",
+  });
+  assert.deepEqual(validateRule("NO_SUCCESS", { hours: 0 }), {
+    error: "params.hours must be a number of at least 1",
+  });
+  assert.deepEqual(validateRule("CONSECUTIVE_FAILURES", { runs: 1.5 }), {
+    error: "params.runs must be an integer of at least 1",
+  });
+  assert.deepEqual(validateRule("RECORD_DROP", { percent: 101 }), {
+    error: "params.percent must be a number from 1 to 100",
+  });
+});
+
+test("validateRule rejects unknown params", () => {
+  assert.deepEqual(validateRule("NO_SUCCESS", { hours: 1, days: 2 }), {
+    error: "Unknown parameter for NO_SUCCESS: days",
+  });
+});
@@ -0,0 +1,125 @@
+// test/clientAuth.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dbService = require("../services/dbService");
+const { requireClient } = require("../middleware/clientAuth");
+const { signRequest } = require("../services/tokenService");
+
+const CLIENT_ID = "1001";
+const SECRET = "test-signing-secret";
+const PATH = "/api/sync/data";
+
+// Stand in for the database: the client's signing secret and the nonces
+// already used
+const usedNonces = new Set();
+const realQuery = dbService.query;
+test.before(() => {
+  dbService.query = async (sql, params) => {
+    if (sql.includes("sync_request_nonces")) {
+      const key = params.join(":");
+      if (usedNonces.has(key)) return { rowCount: 0, rows: [] };
+      usedNonces.add(key);
+      return { rowCount: 1, rows: [] };
+    }
+    if (sql.includes("signing_secret") && params[0] === CLIENT_ID) {
+      return { rowCount: 1, rows: [{ signing_secret: SECRET }] };
+    }
+    return { rowCount: 0, rows: [] };
+  };
+});
+test.after(() => {
+  dbService.query = realQuery;
+  return dbService.pool.end();
+});
+
+let nonceCount = 0;
+function nextNonce() {
+  return `nonce-${String(++nonceCount).padStart(12, "0")}`;
+}
+
+// A signed request for `body`; `overrides` replaces individual headers
+function signedRequest(body, overrides = {}) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = nextNonce();
+  const headers = {
+    "x-client-id": CLIENT_ID,
+    "x-timestamp": timestamp,
+    "x-nonce": nonce,
+    "x-signature": signRequest(SECRET, "POST", PATH, timestamp, nonce, body),
+  };
+  for (const [name, value] of Object.entries(overrides)) {
+    headers[name.toLowerCase()] = value;
+  }
+  return {
+    method: "POST",
+    originalUrl: PATH,
+    rawBody: body,
+    body: JSON.parse(body),
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+// Run requireClient and report whether it passed the request on, or the
+// status and error it rejected it with
+async function authenticate(req) {
+  let result = { passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.error = body.error;
+      return this;
+    },
+  };
+  await requireClient(req, res, () => {
+    result = { passed: true, clientId: req.clientId };
+  });
+  return result;
+}
+
+const BODY = JSON.stringify({ data: [{ CODE: "A" }] });
+
+test("a correctly signed request is accepted", async () => {
+  assert.deepEqual(await authenticate(signedRequest(BODY)), {
+    passed: true,
+    clientId: CLIENT_ID,
+  });
+});
+
+test("a timestamp outside the window is rejected", async () => {
+  const stale = String(Math.floor(Date.now() / 1000) - 3600);
+  const result = await authenticate(
+    signedRequest(BODY, { "X-Timestamp": stale })
+  );
+  assert.equal(result.status, 401);
+  assert.equal(result.error, "Request timestamp is outside the allowed window");
+});
+
+test("a reused nonce is rejected", async () => {
+  const req = signedRequest(BODY);
+  assert.equal((await authenticate(req)).passed, true);
+
+  const replayed = await authenticate(req);
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.error, "Request nonce has already been used");
+});
+
+test("a bad signature is rejected without using up the nonce", async () => {
+  const req = signedRequest(BODY);
+  const tampered = { ...req, rawBody: JSON.stringify({ data: [] }) };
+
+  const result = await authenticate(tampered);
+  assert.equal(result.status, 401);
+  assert.equal(result.error, "Invalid request signature");
+  assert.equal((await authenticate(req)).passed, true);
+});
+
+test("a request for an unknown client is rejected", async () => {
+  const result = await authenticate(
+    signedRequest(BODY, { "X-Client-Id": "9999" })
+  );
+  assert.equal(result.status, 401);
+  assert.equal(result.error, "Invalid request signature");
+});
@@ -0,0 +1,77 @@
+// test/csv.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { csvField, csvRow, unguardField, parseCsv } = require("../utils/csv");
+
+test("csvField leaves plain values as they are", () => {
+  assert.equal(csvField("abc"), "abc");
+  assert.equal(csvField(42), "42");
+  assert.equal(csvField(null), "");
+  assert.equal(csvField(undefined), "");
+  assert.equal(
+    csvField(new Date("2024-01-02T03:04:05Z")),
+    "2024-01-02T03:04:05.000Z"
+  );
+});
+
+test("csvField quotes commas, quotes and line breaks", () => {
+  assert.equal(csvField("a,b"), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField("one\r\ntwo"), '"one\r\ntwo"');
+});
+
+test("csvField guards text that spreadsheets would evaluate", () => {
+  assert.equal(csvField("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+  assert.equal(csvField("+1"), "'+1");
+  assert.equal(csvField("-1"), "'-1");
+  assert.equal(csvField("@cmd"), "'@cmd");
+  assert.equal(csvField('=HYPERLINK("x","y")'), '"\'=HYPERLINK(""x"",""y"")"');
+  // Numbers are not text, so a negative number is left alone
+  assert.equal(csvField(-1), "-1");
+});
+
+test("unguardField undoes the formula guard only", () => {
+  assert.equal(unguardField("'=SUM(A1:A2)"), "=SUM(A1:A2)");
+  assert.equal(unguardField("'-1"), "-1");
+  assert.equal(unguardField("'quoted'"), "'quoted'");
+});
+
+test("parseCsv reads quoted fields with escaped quotes and line breaks", () => {
+  assert.deepEqual(parseCsv('a,"b,c","say ""hi""","one\ntwo"\n'), [
+    ["a", "b,c", 'say "hi"', "one\ntwo"],
+  ]);
+});
+
+test("parseCsv accepts CRLF and LF line endings and skips blank lines", () => {
+  assert.deepEqual(parseCsv("a,b\r\n1,2\n\r\n3,4"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", "4"],
+  ]);
+});
+
+test("parseCsv skips a leading byte order mark", () => {
+  assert.deepEqual(parseCsv("\uFEFFcode,name\nA,Alpha\n"), [
+    ["code", "name"],
+    ["A", "Alpha"],
+  ]);
+});
+
+test("parseCsv keeps empty fields", () => {
+  assert.deepEqual(parseCsv("a,,c\n,\n"), [
+    ["a", "", "c"],
+    ["", ""],
+  ]);
+});
+
+test("parseCsv throws on an unterminated quoted field", () => {
+  assert.throws(() => parseCsv('a,"b\n'), {
+    message: "CSV has an unterminated quoted field",
+  });
+});
+
+test("parseCsv reads back what csvRow writes", () => {
+  const values = ["=1+1", 'a "b"', "x,y", "line\r\nbreak", ""];
+  const [row] = parseCsv(csvRow(values));
+  assert.deepEqual(row.map(unguardField), values);
+});
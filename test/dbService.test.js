@@ -0,0 +1,54 @@
+// test/dbService.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dbService = require("../services/dbService");
+
+test.after(() => dbService.pool.end());
+
+// Client that records the queries it is given
+function recordingClient() {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+      return { rowCount: 0, rows: [] };
+    },
+  };
+}
+
+test("bulkInsert numbers the placeholders of every row in order", async () => {
+  const client = recordingClient();
+  await dbService.bulkInsert(
+    client,
+    "acc_master",
+    ["code", "name", "client_id"],
+    [
+      ["A", "Alpha", "1"],
+      ["B", null, "1"],
+    ]
+  );
+
+  assert.deepEqual(client.queries, [
+    {
+      sql: "INSERT INTO acc_master (code, name, client_id) VALUES ($1, $2, $3), ($4, $5, $6)",
+      params: ["A", "Alpha", "1", "B", null, "1"],
+    },
+  ]);
+});
+
+test("bulkInsert appends the suffix after the values", async () => {
+  const client = recordingClient();
+  await dbService.bulkInsert(
+    client,
+    "acc_users",
+    ["id", "client_id"],
+    [["7", "1"]],
+    "ON CONFLICT DO NOTHING"
+  );
+
+  assert.equal(
+    client.queries[0].sql,
+    "INSERT INTO acc_users (id, client_id) VALUES ($1, $2) ON CONFLICT DO NOTHING"
+  );
+});
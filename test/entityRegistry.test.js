@@ -0,0 +1,109 @@
+// test/entityRegistry.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validatePayload } = require("../services/entityRegistry");
+
+test("validatePayload groups valid legacy rows by entity", () => {
+  const data = [
+    { CODE: "A", NAME: "Alpha" },
+    { ID: "7", PASS: "secret" },
+  ];
+
+  assert.deepEqual(validatePayload(data), {
+    grouped: { acc_users: [data[1]], acc_master: [data[0]] },
+    issues: [],
+  });
+});
+
+test("validatePayload reports legacy rows matching no entity", () => {
+  const { grouped, issues } = validatePayload([{ NAME: "no code" }, "text"]);
+
+  assert.deepEqual(grouped, { acc_users: [], acc_master: [] });
+  assert.deepEqual(issues, [
+    {
+      entity: null,
+      index: 0,
+      field: null,
+      reason: "row matches no sync entity",
+    },
+    { entity: null, index: 1, field: null, reason: "row must be an object" },
+  ]);
+});
+
+test("validatePayload reports missing, mistyped and oversized fields", () => {
+  const { grouped, issues } = validatePayload(undefined, {
+    acc_master: [
+      { NAME: "no code" },
+      { CODE: { nested: true } },
+      { CODE: "B", NAME: "x".repeat(256) },
+      { CODE: "C" },
+    ],
+    acc_users: [[]],
+  });
+
+  assert.deepEqual(grouped, { acc_master: [{ CODE: "C" }], acc_users: [] });
+  assert.deepEqual(issues, [
+    {
+      entity: "acc_master",
+      index: 0,
+      field: "code",
+      reason: "required field is missing",
+    },
+    {
+      entity: "acc_master",
+      index: 1,
+      field: "code",
+      reason: "expected a string",
+    },
+    {
+      entity: "acc_master",
+      index: 2,
+      field: "name",
+      reason: "longer than 255 characters",
+    },
+    {
+      entity: "acc_users",
+      index: 0,
+      field: null,
+      reason: "row must be an object",
+    },
+  ]);
+});
+
+test("validatePayload keeps the first of rows sharing a key", () => {
+  const { grouped, issues } = validatePayload(undefined, {
+    acc_master: [{ CODE: "A" }, { code: "B" }, { code: "A", NAME: "again" }],
+  });
+
+  assert.deepEqual(grouped.acc_master, [{ CODE: "A" }, { code: "B" }]);
+  assert.deepEqual(issues, [
+    {
+      entity: "acc_master",
+      index: 2,
+      field: "code",
+      reason: "duplicate key, first sent at index 0",
+    },
+  ]);
+});
+
+test("validatePayload reports every problem of a row", () => {
+  const { grouped, issues } = validatePayload(undefined, {
+    acc_users: [{ ID: "x".repeat(51) }],
+  });
+
+  assert.deepEqual(grouped.acc_users, []);
+  assert.deepEqual(issues, [
+    {
+      entity: "acc_users",
+      index: 0,
+      field: "id",
+      reason: "longer than 50 characters",
+    },
+    {
+      entity: "acc_users",
+      index: 0,
+      field: "pass",
+      reason: "required field is missing",
+    },
+  ]);
+});
@@ -0,0 +1,118 @@
+// test/secrets.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const KEY_1 = `k1:${Buffer.alloc(32, 1).toString("base64")}`;
+const KEY_2 = `k2:${Buffer.alloc(32, 2).toString("base64")}`;
+
+// utils/secrets.js reads SECRET_MASTER_KEYS once, so each key setup gets a
+// fresh copy of the module
+function loadSecrets(masterKeys) {
+  process.env.SECRET_MASTER_KEYS = masterKeys;
+  delete require.cache[require.resolve("../utils/secrets")];
+  return require("../utils/secrets");
+}
+
+test("encryptSecret and decryptSecret round-trip a value", () => {
+  const secrets = loadSecrets(KEY_1);
+  const stored = secrets.encryptSecret("pässword");
+
+  assert.match(stored, /^enc:v1:k1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+  assert.equal(secrets.decryptSecret(stored), "pässword");
+});
+
+test("each encryption uses a fresh data key and IV", () => {
+  const secrets = loadSecrets(KEY_1);
+  const a = secrets.encryptSecret("same");
+  const b = secrets.encryptSecret("same");
+
+  assert.notEqual(a, b);
+  assert.equal(secrets.decryptSecret(a), secrets.decryptSecret(b));
+});
+
+test("null stays null and plain values are read as they are", () => {
+  const secrets = loadSecrets(KEY_1);
+
+  assert.equal(secrets.encryptSecret(null), null);
+  assert.equal(secrets.encryptSecret(undefined), null);
+  assert.equal(secrets.decryptSecret(null), null);
+  assert.equal(secrets.decryptSecret("legacy plain"), "legacy plain");
+});
+
+test("a tampered value fails to decrypt", () => {
+  const secrets = loadSecrets(KEY_1);
+  const stored = secrets.encryptSecret("secret");
+  const parts = stored.split(":");
+  const ciphertext = Buffer.from(parts[4], "base64");
+  ciphertext[ciphertext.length - 1] ^= 1;
+  parts[4] = ciphertext.toString("base64");
+
+  assert.throws(() => secrets.decryptSecret(parts.join(":")));
+});
+
+test("rewrapSecret moves a value to the active key without re-encrypting it", () => {
+  const before = loadSecrets(KEY_1).encryptSecret("rotate me");
+
+  const secrets = loadSecrets(`${KEY_2},${KEY_1}`);
+  assert.equal(secrets.isCurrent(before), false);
+  assert.equal(secrets.decryptSecret(before), "rotate me");
+
+  const after = secrets.rewrapSecret(before);
+  assert.equal(after.split(":")[2], "k2");
+  assert.equal(after.split(":")[4], before.split(":")[4]);
+  assert.equal(secrets.isCurrent(after), true);
+  assert.equal(secrets.rewrapSecret(after), after);
+
+  // Once the old key is removed, only the rewrapped value can be read
+  const withoutOld = loadSecrets(KEY_2);
+  assert.equal(withoutOld.decryptSecret(after), "rotate me");
+  assert.throws(() => withoutOld.decryptSecret(before), {
+    message: 'Secret is encrypted with unknown master key "k1"',
+  });
+});
+
+test("rewrapSecret encrypts plain values and keeps null", () => {
+  const secrets = loadSecrets(KEY_1);
+  const stored = secrets.rewrapSecret("plain");
+
+  assert.equal(secrets.isCurrent("plain"), false);
+  assert.equal(secrets.isCurrent(null), true);
+  assert.equal(secrets.rewrapSecret(null), null);
+  assert.equal(secrets.isCurrent(stored), true);
+  assert.equal(secrets.decryptSecret(stored), "plain");
+});
+
+test("loadMasterKeys rejects missing, malformed and repeated keys", () => {
+  assert.throws(() => loadSecrets("").loadMasterKeys(), {
+    message: "SECRET_MASTER_KEYS is not set",
+  });
+  assert.throws(() => loadSecrets("k1:c2hvcnQ=").loadMasterKeys(), {
+    message: 'SECRET_MASTER_KEYS entries must be "<id>:<base64 32-byte key>"',
+  });
+  assert.throws(() => loadSecrets(`${KEY_1},${KEY_1}`).loadMasterKeys(), {
+    message: 'SECRET_MASTER_KEYS lists key "k1" twice',
+  });
+});
+
+test("maskColumns and decryptColumns handle only the secret columns", () => {
+  const secrets = loadSecrets(KEY_1);
+  const row = {
+    client_id: "1",
+    db_password: secrets.encryptSecret("db"),
+    password: "legacy",
+    signing_secret: null,
+  };
+
+  assert.deepEqual(secrets.decryptColumns(row), {
+    client_id: "1",
+    db_password: "db",
+    password: "legacy",
+    signing_secret: null,
+  });
+  assert.deepEqual(secrets.maskColumns(row), {
+    client_id: "1",
+    db_password: "********",
+    password: "********",
+    signing_secret: null,
+  });
+});
@@ -0,0 +1,66 @@
+// utils/csv.js
+
+// Quote a value for CSV. Text starting with a formula character is prefixed
+// with ' so spreadsheets show it instead of evaluating it.
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, including the trailing CRLF
+function csvRow(values) {
+  return `${values.map(csvField).join(",")}\r\n`;
+}
+
+// Undo csvField's formula guard on a value read back from a CSV file
+function unguardField(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// Parse CSV text into rows of field strings. Fields may be quoted, with ""
+// for a quote inside them, and lines may end in CRLF or LF. A leading byte
+// order mark and blank lines are skipped. Throws on a quote left open.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r" || text[i + 1] !== "\n") {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+module.exports = { csvField, csvRow, unguardField, parseCsv };
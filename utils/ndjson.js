@@ -0,0 +1,124 @@
+// utils/ndjson.js
+// Reading newline-delimited JSON request bodies line by line, so a large
+// upload is never held in memory at once
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { once } = require("events");
+const { pipeline, Transform } = require("stream");
+const { finished } = require("stream/promises");
+const { StringDecoder } = require("string_decoder");
+
+// Decompressors for the Content-Encoding values an upload may use
+const DECODERS = {
+  identity: null,
+  gzip: zlib.createGunzip,
+  "x-gzip": zlib.createGunzip,
+  deflate: zlib.createInflate,
+};
+
+// Pass a stream through, failing with PAYLOAD_TOO_LARGE once more than
+// `maxBytes` have gone through
+function byteLimit(maxBytes) {
+  let total = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        const error = new Error("PAYLOAD_TOO_LARGE");
+        error.maxBytes = maxBytes;
+        return callback(error);
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// The request body as a stream, decompressed according to its
+// Content-Encoding. A compressed body fails with PAYLOAD_TOO_LARGE past
+// `maxCompressedBytes`; limit the decompressed size as it is read. Throws
+// UNSUPPORTED_ENCODING for any other encoding.
+function decodedBody(req, maxCompressedBytes) {
+  const encoding = (req.get("Content-Encoding") || "identity")
+    .trim()
+    .toLowerCase();
+  if (!(encoding in DECODERS)) {
+    const error = new Error("UNSUPPORTED_ENCODING");
+    error.encoding = encoding;
+    throw error;
+  }
+
+  const createDecoder = DECODERS[encoding];
+  if (!createDecoder) return req;
+
+  // Errors from either stream, such as corrupt data or an aborted request,
+  // surface when the decoder is read
+  const decoder = createDecoder();
+  pipeline(req, byteLimit(maxCompressedBytes), decoder, () => {});
+  return decoder;
+}
+
+// Yield the lines of a stream of UTF-8 text without their line endings.
+// Blank lines are skipped. `onData`, if given, sees every chunk read. Throws
+// LINE_TOO_LONG once a line passes `maxLineLength` characters. Reading
+// pauses while the consumer works on a line, so a slow consumer holds back
+// the upload rather than buffering it.
+async function* readLines(stream, maxLineLength, onData) {
+  const decoder = new StringDecoder("utf8");
+  let partial = "";
+
+  const checkLength = (line) => {
+    if (line.length > maxLineLength) {
+      const error = new Error("LINE_TOO_LONG");
+      error.maxLineLength = maxLineLength;
+      throw error;
+    }
+  };
+
+  for await (const chunk of stream) {
+    if (onData) onData(chunk);
+    const lines = (partial + decoder.write(chunk)).split("\n");
+    partial = lines.pop();
+    checkLength(partial);
+
+    for (const line of lines) {
+      checkLength(line);
+      const trimmed = line.trim();
+      if (trimmed) yield trimmed;
+    }
+  }
+
+  const last = (partial + decoder.end()).trim();
+  if (last) yield last;
+}
+
+// Write the lines from readLines to a temporary file, so a body can be read
+// to the end before any of it is used. Returns { lines, remove }: `lines`
+// yields the lines again from the file, and `remove` deletes the file.
+async function spoolLines(lines, maxLineLength) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "sync-upload-"));
+  const remove = () => fs.promises.rm(dir, { recursive: true, force: true });
+  const file = path.join(dir, "body.ndjson");
+
+  const out = fs.createWriteStream(file);
+  try {
+    for await (const line of lines) {
+      if (!out.write(`${line}\n`)) await once(out, "drain");
+    }
+    out.end();
+    await finished(out);
+  } catch (error) {
+    out.destroy();
+    await remove();
+    throw error;
+  }
+
+  // The file is opened only once the lines are read
+  async function* replay() {
+    yield* readLines(fs.createReadStream(file), maxLineLength);
+  }
+  return { lines: replay(), remove };
+}
+
+module.exports = { decodedBody, readLines, spoolLines };
@@ -0,0 +1,68 @@
+// utils/passwords.js
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hash a password as "scrypt$N$r$p$salt$hash" (salt and hash in base64)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+  });
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+}
+
+function isHashed(stored) {
+  return typeof stored === "string" && stored.startsWith("scrypt$");
+}
+
+// Compare a password with a stored value. Plain-text values left over from
+// before hashing are still accepted so they can be upgraded on login.
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") return false;
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, N, r, p, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+    }
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  isHashed,
+  verifyPassword,
+};
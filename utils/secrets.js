@@ -0,0 +1,162 @@
+// utils/secrets.js
+// Envelope encryption of client secrets stored in sync_users, and of webhook
+// signing secrets. Each value is encrypted with its own random data key, and
+// the data key is encrypted ("wrapped") with a master key from
+// SECRET_MASTER_KEYS. Rotating the master key only rewraps data keys. A
+// stored value looks like
+// "enc:v1:<master key ID>:<wrapped data key>:<ciphertext>", both parts
+// base64 of IV + ciphertext + GCM tag.
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+const PREFIX = "enc:v1:";
+
+// Columns of sync_users stored encrypted
+const CLIENT_SECRET_COLUMNS = ["db_password", "password", "signing_secret"];
+
+// Shown in place of a secret in API responses
+const MASKED_SECRET = "********";
+
+let masterKeys = null;
+
+// Master keys from SECRET_MASTER_KEYS, a comma-separated list of
+// "<id>:<base64 32-byte key>". The first key encrypts new values; the others
+// are kept to read values written before a rotation. Throws when the
+// variable is missing or malformed.
+function loadMasterKeys() {
+  if (masterKeys) return masterKeys;
+
+  const entries = (process.env.SECRET_MASTER_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error("SECRET_MASTER_KEYS is not set");
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const [id, encoded] = entry.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!/^[A-Za-z0-9_-]+$/.test(id) || key.length !== KEY_LENGTH) {
+      throw new Error(
+        `SECRET_MASTER_KEYS entries must be "<id>:<base64 ${KEY_LENGTH}-byte key>"`
+      );
+    }
+    if (keys.has(id)) {
+      throw new Error(`SECRET_MASTER_KEYS lists key "${id}" twice`);
+    }
+    keys.set(id, key);
+  }
+
+  masterKeys = { activeId: entries[0].split(":")[0], keys };
+  return masterKeys;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, encrypted, cipher.getAuthTag()]).toString("base64");
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    data.subarray(0, IV_LENGTH)
+  );
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+function isEncrypted(stored) {
+  return typeof stored === "string" && stored.startsWith(PREFIX);
+}
+
+// Split a stored value into its master key and parts, throwing when the
+// master key is not configured
+function parse(stored) {
+  const [id, wrappedKey, ciphertext] = stored.slice(PREFIX.length).split(":");
+  const masterKey = loadMasterKeys().keys.get(id);
+  if (!masterKey) {
+    throw new Error(`Secret is encrypted with unknown master key "${id}"`);
+  }
+  return { id, masterKey, wrappedKey, ciphertext };
+}
+
+// Encrypt a secret for storage. null and undefined stay null.
+function encryptSecret(plaintext) {
+  if (plaintext == null) return null;
+  const { activeId, keys } = loadMasterKeys();
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  return `${PREFIX}${activeId}:${seal(keys.get(activeId), dataKey)}:${seal(
+    dataKey,
+    Buffer.from(String(plaintext), "utf8")
+  )}`;
+}
+
+// Decrypt a stored secret. Values written before encryption was introduced
+// are returned as they are until the encrypt command has rewritten them.
+function decryptSecret(stored) {
+  if (!isEncrypted(stored)) return stored;
+  const { masterKey, wrappedKey, ciphertext } = parse(stored);
+  return open(open(masterKey, wrappedKey), ciphertext).toString("utf8");
+}
+
+// Whether a stored value is null or already encrypted with the active key
+function isCurrent(stored) {
+  if (stored == null) return true;
+  return isEncrypted(stored) && parse(stored).id === loadMasterKeys().activeId;
+}
+
+// Bring a stored value up to date: plain values are encrypted, and the data
+// key of a value encrypted with an older master key is rewrapped with the
+// active one. The secret itself is not re-encrypted.
+function rewrapSecret(stored) {
+  if (isCurrent(stored)) return stored;
+  if (!isEncrypted(stored)) return encryptSecret(stored);
+
+  const { masterKey, wrappedKey, ciphertext } = parse(stored);
+  const { activeId, keys } = loadMasterKeys();
+  const dataKey = open(masterKey, wrappedKey);
+  return `${PREFIX}${activeId}:${seal(keys.get(activeId), dataKey)}:${ciphertext}`;
+}
+
+// Copy of a sync_users row with its secret columns decrypted
+function decryptColumns(row) {
+  const copy = { ...row };
+  for (const column of CLIENT_SECRET_COLUMNS) {
+    if (column in copy) copy[column] = decryptSecret(copy[column]);
+  }
+  return copy;
+}
+
+// Copy of a sync_users row with its secret columns masked
+function maskColumns(row) {
+  const copy = { ...row };
+  for (const column of CLIENT_SECRET_COLUMNS) {
+    if (copy[column] != null) copy[column] = MASKED_SECRET;
+  }
+  return copy;
+}
+
+module.exports = {
+  CLIENT_SECRET_COLUMNS,
+  MASKED_SECRET,
+  loadMasterKeys,
+  encryptSecret,
+  decryptSecret,
+  isCurrent,
+  rewrapSecret,
+  decryptColumns,
+  maskColumns,
+};